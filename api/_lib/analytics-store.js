@@ -0,0 +1,122 @@
+/**
+ * Analytics event store shared by api/collect.js and api/stats.js
+ * ANALYTICS_STORE picks the backend: "jsonl" (default, one file per UTC day) or "sqlite" (node:sqlite,
+ * Node 22.5+). Both write under ANALYTICS_DIR, which defaults to .analytics/ locally and to /tmp on
+ * Vercel, where nothing else is writable and files don't outlive the function instance.
+ *
+ * A store is { append(events), query({ from, to }) }; events are flat rows with the FIELDS below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIELDS = ['ts', 'type', 'path', 'category', 'action', 'label', 'referrer'];
+
+let store = null;
+
+function storeDir() {
+    if (process.env.ANALYTICS_DIR) return process.env.ANALYTICS_DIR;
+    return process.env.VERCEL ? '/tmp/hqv-analytics' : path.join(__dirname, '..', '..', '.analytics');
+}
+
+// 1767225600000 -> "2026-01-01"
+function dayOf(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+}
+
+const stores = {
+    jsonl(dir) {
+        return {
+            async append(events) {
+                fs.mkdirSync(dir, { recursive: true });
+
+                const lines = new Map();
+                events.forEach(event => {
+                    const file = `events-${dayOf(event.ts)}.jsonl`;
+                    lines.set(file, (lines.get(file) || '') + `${JSON.stringify(event)}\n`);
+                });
+                lines.forEach((content, file) => fs.appendFileSync(path.join(dir, file), content));
+            },
+
+            async query({ from, to }) {
+                if (!fs.existsSync(dir)) return [];
+
+                const first = dayOf(from);
+                const last = dayOf(to);
+                return fs.readdirSync(dir)
+                    .filter(file => {
+                        const day = (file.match(/^events-(\d{4}-\d{2}-\d{2})\.jsonl$/) || [])[1];
+                        return day && day >= first && day <= last;
+                    })
+                    .flatMap(file => fs.readFileSync(path.join(dir, file), 'utf8').split('\n'))
+                    .map(line => {
+                        try {
+                            return line ? JSON.parse(line) : null;
+                        } catch (error) {
+                            // A line cut short by an interrupted write is skipped
+                            return null;
+                        }
+                    })
+                    .filter(event => event && event.ts >= from && event.ts <= to);
+            }
+        };
+    },
+
+    sqlite(dir) {
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch (error) {
+            throw Object.assign(new Error('ANALYTICS_STORE=sqlite needs Node 22.5 or newer (node:sqlite)'), { configuration: true });
+        }
+
+        fs.mkdirSync(dir, { recursive: true });
+        const db = new DatabaseSync(path.join(dir, 'analytics.sqlite'));
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS events (
+                ts INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                path TEXT,
+                category TEXT,
+                action TEXT,
+                label TEXT,
+                referrer TEXT
+            );
+            CREATE INDEX IF NOT EXISTS events_ts ON events (ts);
+        `);
+
+        const insert = db.prepare(`INSERT INTO events (${FIELDS.join(', ')}) VALUES (${FIELDS.map(() => '?').join(', ')})`);
+        const select = db.prepare(`SELECT ${FIELDS.join(', ')} FROM events WHERE ts BETWEEN ? AND ? ORDER BY ts`);
+
+        return {
+            async append(events) {
+                db.exec('BEGIN');
+                try {
+                    events.forEach(event => insert.run(...FIELDS.map(field => event[field] ?? null)));
+                    db.exec('COMMIT');
+                } catch (error) {
+                    db.exec('ROLLBACK');
+                    throw error;
+                }
+            },
+
+            async query({ from, to }) {
+                return select.all(from, to);
+            }
+        };
+    }
+};
+
+function getStore() {
+    if (store) return store;
+
+    const name = process.env.ANALYTICS_STORE || 'jsonl';
+    if (!stores[name]) {
+        throw Object.assign(new Error(`Unknown ANALYTICS_STORE "${name}"`), { configuration: true });
+    }
+
+    store = stores[name](storeDir());
+    return store;
+}
+
+module.exports = { FIELDS, getStore };
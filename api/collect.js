@@ -0,0 +1,116 @@
+/**
+ * First-party analytics collector - Vercel serverless function
+ * POST /api/collect  { "events": [{ "type": "pageview", "path": "/episodes/3", "referrer": "https://www.google.com/" },
+ *                                 { "type": "event", "path": "/more", "category": "Subscribe", "action": "Platform Click", "label": "spotify" }] }
+ *
+ * Cookieless: no IDs, IPs or user agents are stored, only the whitelisted fields below with a server
+ * timestamp. The Analytics class in scripts/app.js batches events and sends them with sendBeacon.
+ * Events are written through the store picked by ANALYTICS_STORE (see api/_lib/analytics-store.js).
+ */
+
+const { getStore } = require('./_lib/analytics-store');
+
+const MAX_EVENTS = 50;
+const RATE_LIMIT = 120;
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|lighthouse|preview/i;
+
+// Per-IP batch timestamps, shared across invocations while the function instance stays warm
+const attempts = new Map();
+
+function isRateLimited(ip, now = Date.now()) {
+    const recent = (attempts.get(ip) || []).filter(time => now - time < RATE_WINDOW_MS);
+    recent.push(now);
+    attempts.set(ip, recent);
+    return recent.length > RATE_LIMIT;
+}
+
+function clientIp(req) {
+    return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim()
+        || req.socket?.remoteAddress
+        || 'unknown';
+}
+
+function cleanText(value, maxLength = 100) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+// Same-site paths only, without query strings or fragments that could carry personal data
+function cleanPath(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//')) return null;
+    return value.split(/[?#]/)[0].slice(0, 200);
+}
+
+// Only the referring site's hostname is kept, and internal navigation isn't a referral
+function cleanReferrer(value, host) {
+    try {
+        const url = new URL(value);
+        return /^https?:$/.test(url.protocol) && url.host !== host ? url.hostname : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function cleanEvent(event, ts, host) {
+    const eventPath = cleanPath(event?.path);
+    if (!eventPath) return null;
+
+    if (event.type === 'pageview') {
+        return { ts, type: 'pageview', path: eventPath, category: null, action: null, label: null, referrer: cleanReferrer(event.referrer, host) };
+    }
+
+    if (event.type === 'event') {
+        const category = cleanText(event.category);
+        const action = cleanText(event.action);
+        if (!category || !action) return null;
+        return { ts, type: 'event', path: eventPath, category, action, label: cleanText(event.label, 200), referrer: null };
+    }
+
+    return null;
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Visitors who opted out in the browser are dropped here too, whatever the client did
+    if (req.headers.dnt === '1' || req.headers['sec-gpc'] === '1' || BOT_PATTERN.test(req.headers['user-agent'] || '')) {
+        return res.status(204).end();
+    }
+
+    if (isRateLimited(clientIp(req))) {
+        res.setHeader('Retry-After', String(RATE_WINDOW_MS / 1000));
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body || '{}');
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid request body' });
+        }
+    }
+
+    if (!Array.isArray(body.events) || body.events.length === 0 || body.events.length > MAX_EVENTS) {
+        return res.status(400).json({ error: `Send between 1 and ${MAX_EVENTS} events` });
+    }
+
+    const ts = Date.now();
+    const events = body.events.map(event => cleanEvent(event, ts, req.headers.host)).filter(Boolean);
+    if (events.length === 0) {
+        return res.status(400).json({ error: 'No valid events' });
+    }
+
+    try {
+        await getStore().append(events);
+        return res.status(204).end();
+    } catch (storeError) {
+        console.warn(`Analytics write failed: ${storeError.message}`);
+        return res.status(storeError.configuration ? 503 : 500).json({ error: 'Analytics store unavailable' });
+    }
+};
@@ -0,0 +1,115 @@
+/**
+ * Batched stock quotes - Vercel serverless function
+ * GET /api/quotes?symbols=AAPL,MSFT,SPY
+ *
+ * Proxies Finnhub server-side so FINNHUB_API_KEY never ships to browsers.
+ * Symbols the upstream can't price are listed in `missing` so the client can fall back explicitly.
+ */
+
+const MAX_SYMBOLS = 50;
+const CONCURRENCY = 10;
+const CACHE_TTL_MS = 60 * 1000;
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+
+// Per-symbol cache, shared across invocations while the function instance stays warm
+const cache = new Map();
+
+async function fetchQuote(symbol, apiKey) {
+    const cached = cache.get(symbol);
+    if (cached && cached.expires > Date.now()) {
+        return cached.quote;
+    }
+
+    const url = `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(symbol)}&token=${apiKey}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Finnhub error ${response.status} for ${symbol}`);
+    }
+
+    const data = await response.json();
+    if (!data.c || data.c <= 0) {
+        return null;
+    }
+
+    const quote = {
+        symbol,
+        price: Number(data.c.toFixed(2)),
+        change: Number((data.d || 0).toFixed(2)),
+        changePercent: Number((data.dp || 0).toFixed(2)),
+        high: data.h,
+        low: data.l,
+        open: data.o,
+        previousClose: data.pc,
+        timestamp: data.t
+    };
+
+    cache.set(symbol, { quote, expires: Date.now() + CACHE_TTL_MS });
+    return quote;
+}
+
+async function fetchAll(symbols, apiKey) {
+    const quotes = [];
+    const missing = [];
+    let cursor = 0;
+
+    // Small worker pool keeps us under Finnhub's per-second limits
+    const worker = async () => {
+        while (cursor < symbols.length) {
+            const symbol = symbols[cursor++];
+            try {
+                const quote = await fetchQuote(symbol, apiKey);
+                if (quote) {
+                    quotes.push(quote);
+                } else {
+                    missing.push(symbol);
+                }
+            } catch (error) {
+                console.warn(error.message);
+                missing.push(symbol);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, symbols.length) }, worker));
+    return { quotes, missing };
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const apiKey = process.env.FINNHUB_API_KEY;
+    if (!apiKey) {
+        return res.status(503).json({ error: 'Quote provider is not configured' });
+    }
+
+    const symbols = [...new Set(String(req.query.symbols || '')
+        .split(',')
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean))];
+
+    if (symbols.length === 0) {
+        return res.status(400).json({ error: 'No symbols requested' });
+    }
+
+    if (symbols.length > MAX_SYMBOLS) {
+        return res.status(400).json({ error: `At most ${MAX_SYMBOLS} symbols per request` });
+    }
+
+    const invalid = symbols.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid symbols: ${invalid.join(', ')}` });
+    }
+
+    const { quotes, missing } = await fetchAll(symbols, apiKey);
+
+    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=60');
+    return res.status(200).json({
+        source: 'finnhub',
+        fetched_at: new Date().toISOString(),
+        quotes,
+        missing
+    });
+};
@@ -0,0 +1,122 @@
+/**
+ * Analytics summary for the dashboard at /analytics - Vercel serverless function
+ * GET /api/stats?days=30   (Authorization: Bearer <ANALYTICS_TOKEN>)
+ *
+ * Aggregates what api/collect.js stored: page views, episode plays, platform-link clicks and
+ * sponsor clicks. Closed (503) until ANALYTICS_TOKEN is set; scripts/dev-server.js sets one locally.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./_lib/analytics-store');
+
+const MAX_DAYS = 365;
+const DEFAULT_DAYS = 30;
+const TOP_ROWS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isAuthorized(req, token) {
+    const provided = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Map of key -> count, as the top rows sorted by count
+function topRows(counts, keyName, countName, limit = TOP_ROWS) {
+    return [...counts]
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, limit)
+        .map(([key, count]) => ({ [keyName]: key, [countName]: count }));
+}
+
+function increment(counts, key) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+function summarize(events, from, to) {
+    const daily = new Map();
+    for (let time = from; time <= to; time += DAY_MS) {
+        daily.set(new Date(time).toISOString().slice(0, 10), { pageviews: 0, plays: 0 });
+    }
+
+    const pages = new Map();
+    const referrers = new Map();
+    const episodes = new Map();
+    const platforms = new Map();
+    const sponsors = new Map();
+    const totals = { pageviews: 0, plays: 0, platformClicks: 0, sponsorClicks: 0 };
+
+    events.forEach(event => {
+        const day = daily.get(new Date(event.ts).toISOString().slice(0, 10));
+
+        if (event.type === 'pageview') {
+            totals.pageviews++;
+            if (day) day.pageviews++;
+            increment(pages, event.path);
+            if (event.referrer) increment(referrers, event.referrer);
+            return;
+        }
+
+        // Category/action pairs as sent by Analytics.trackEvent() in scripts/app.js
+        if (event.category === 'Episode' && event.action === 'Play') {
+            totals.plays++;
+            if (day) day.plays++;
+            increment(episodes, event.label);
+        } else if (event.category === 'Subscribe' && event.action === 'Platform Click') {
+            totals.platformClicks++;
+            increment(platforms, event.label);
+        } else if (event.category === 'Sponsor') {
+            // Labels are "<sponsor id>:<placement>"
+            const id = String(event.label || '').split(':')[0];
+            if (!sponsors.has(id)) sponsors.set(id, { sponsor: id, clicks: 0, impressions: 0 });
+            if (event.action === 'Click') {
+                totals.sponsorClicks++;
+                sponsors.get(id).clicks++;
+            } else if (event.action === 'Impression') {
+                sponsors.get(id).impressions++;
+            }
+        }
+    });
+
+    return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        totals,
+        daily: [...daily].map(([date, counts]) => ({ date, ...counts })),
+        pages: topRows(pages, 'path', 'views'),
+        referrers: topRows(referrers, 'host', 'views'),
+        episodes: topRows(episodes, 'id', 'plays'),
+        platforms: topRows(platforms, 'platform', 'clicks'),
+        sponsors: [...sponsors.values()].sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions)
+    };
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const token = process.env.ANALYTICS_TOKEN;
+    if (!token) {
+        return res.status(503).json({ error: 'Analytics dashboard is not configured' });
+    }
+
+    if (!isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const days = Math.min(MAX_DAYS, Math.max(1, parseInt(req.query.days, 10) || DEFAULT_DAYS));
+    const to = Date.now();
+    // Whole UTC days, counting today as the last one
+    const from = Date.parse(new Date(to - (days - 1) * DAY_MS).toISOString().slice(0, 10));
+
+    try {
+        const events = await getStore().query({ from, to });
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ days, ...summarize(events, from, to) });
+    } catch (storeError) {
+        console.warn(`Analytics read failed: ${storeError.message}`);
+        return res.status(storeError.configuration ? 503 : 500).json({ error: 'Analytics store unavailable' });
+    }
+};
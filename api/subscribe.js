@@ -0,0 +1,159 @@
+/**
+ * Newsletter signup - Vercel serverless function
+ * POST /api/subscribe  { "email": "you@example.com", "source": "home", "website": "" }
+ *
+ * Forwards the address to the provider named by NEWSLETTER_PROVIDER so API keys stay server-side.
+ * "beehiiv" needs BEEHIIV_API_KEY and BEEHIIV_PUBLICATION_ID; "mock" accepts everything without a
+ * network call so the signup flow can be tested offline (see scripts/dev-server.js).
+ */
+
+const RATE_LIMIT = 5;
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+const SOURCE_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+// Per-IP attempt timestamps, shared across invocations while the function instance stays warm.
+// IPs with nothing inside the window are dropped on every call so the map can't grow without bound.
+const attempts = new Map();
+
+// Mock provider state, so repeat signups answer like a real list would
+const mockSubscribers = new Set();
+
+// Mirrors HQVSite.validateEmail in scripts/app.js: dot-atom local part, hostname labels, alphabetic TLD.
+// The browser script can't require this module, so a change to either copy has to be made to both.
+function validateEmail(email) {
+    if (!email) return 'Please enter your email address.';
+    if (email.length > 254) return 'That email address is too long.';
+
+    const parts = email.split('@');
+    if (parts.length !== 2) return 'Please enter a valid email address.';
+
+    const [local, domain] = parts;
+    const localValid = local.length > 0 && local.length <= 64
+        && /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local);
+    const labels = domain.split('.');
+    const domainValid = labels.length > 1
+        && labels.every(label => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label))
+        && /^[A-Za-z]{2,}$/.test(labels[labels.length - 1]);
+
+    return localValid && domainValid ? null : 'Please enter a valid email address.';
+}
+
+function isRateLimited(ip, now = Date.now()) {
+    attempts.forEach((times, key) => {
+        if (now - times[times.length - 1] >= RATE_WINDOW_MS) attempts.delete(key);
+    });
+
+    const recent = (attempts.get(ip) || []).filter(time => now - time < RATE_WINDOW_MS);
+    recent.push(now);
+    attempts.set(ip, recent);
+    return recent.length > RATE_LIMIT;
+}
+
+// j***@example.com, enough to tell test signups apart without logging the address
+function redactEmail(email) {
+    const [local, domain] = email.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+}
+
+function clientIp(req) {
+    return String(req.headers['x-forwarded-for'] || '').split(',')[0].trim()
+        || req.socket?.remoteAddress
+        || 'unknown';
+}
+
+const providers = {
+    async beehiiv(email, source) {
+        const apiKey = process.env.BEEHIIV_API_KEY;
+        const publicationId = process.env.BEEHIIV_PUBLICATION_ID;
+        if (!apiKey || !publicationId) {
+            throw Object.assign(new Error('beehiiv is missing BEEHIIV_API_KEY or BEEHIIV_PUBLICATION_ID'), { configuration: true });
+        }
+
+        const response = await fetch(`https://api.beehiiv.com/v2/publications/${encodeURIComponent(publicationId)}/subscriptions`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                email,
+                reactivate_existing: true,
+                send_welcome_email: true,
+                utm_source: 'website',
+                utm_medium: source
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`beehiiv error ${response.status}`);
+        }
+
+        // beehiiv answers a known address with its existing subscription rather than an error
+        const { data = {} } = await response.json();
+        const existing = data.created && Date.now() / 1000 - data.created > 60;
+        return { status: existing ? 'already_subscribed' : 'subscribed' };
+    },
+
+    // Addresses at example.invalid fail, so the error state can be exercised too
+    async mock(email) {
+        const normalized = email.toLowerCase();
+        if (normalized.endsWith('@example.invalid')) {
+            throw new Error('mock provider rejected the address');
+        }
+
+        if (mockSubscribers.has(normalized)) {
+            return { status: 'already_subscribed' };
+        }
+
+        mockSubscribers.add(normalized);
+        console.log(`Mock newsletter signup: ${redactEmail(normalized)}`);
+        return { status: 'subscribed' };
+    }
+};
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const provider = providers[process.env.NEWSLETTER_PROVIDER];
+    if (!provider) {
+        return res.status(503).json({ error: 'Newsletter provider is not configured' });
+    }
+
+    if (isRateLimited(clientIp(req))) {
+        res.setHeader('Retry-After', String(RATE_WINDOW_MS / 1000));
+        return res.status(429).json({ error: 'Too many signup attempts. Please try again in a few minutes.' });
+    }
+
+    let body = req.body || {};
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body || '{}');
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid request body' });
+        }
+    }
+
+    // Bots fill every field; humans never see this one. Answer as if it worked so they don't adapt.
+    if (body.website) {
+        return res.status(200).json({ status: 'subscribed' });
+    }
+
+    const email = String(body.email || '').trim();
+    const error = validateEmail(email);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const source = SOURCE_PATTERN.test(body.source || '') ? body.source : 'website';
+
+    try {
+        const result = await provider(email, source);
+        return res.status(200).json(result);
+    } catch (providerError) {
+        console.warn(`Newsletter signup failed: ${providerError.message}`);
+        return res.status(providerError.configuration ? 503 : 502).json({ error: 'We couldn\'t reach the newsletter service. Please try again later.' });
+    }
+};
@@ -4,33 +4,45 @@
  */
 
 class HQVSite {
-    constructor() {
+    // Pass { autoInit: false } to use the renderers without touching the DOM (see scripts/build-static.js)
+    constructor({ autoInit = true } = {}) {
         this.config = null;
         this.episodes = null;
         this.posts = null;
         
-        this.init();
+        if (autoInit) this.init();
     }
 
     async init() {
         try {
             // Load configuration and data
             await this.loadConfig();
+            Analytics.configure(this.config?.analytics);
+            Layout.render(this.config);
             await this.loadEpisodes();
             await this.loadPosts();
             
             // Initialize UI components
             this.setupNavigation();
+            this.setupSearch();
             this.setupLiveIndicator();
             this.setupPlatformLinks();
             this.loadLatestEpisodes();
+            this.setupEpisodeArchive();
+            this.setupEpisodePage();
+            this.setupGuestDirectory();
+            this.setupTeamPage();
             this.loadRecentPosts();
+            this.setupPostPage();
+            this.setupBlogIndex();
             this.setupNewsletterSignup();
-            this.setupFooterLinks();
             this.setupPortfolioTracker();
+            this.setupPortfolioPage();
             this.setupStockTicker();
             this.setupInfohubScrolling();
             this.setupSponsorCarousel();
+            this.setupAnalyticsDashboard();
+            this.setupOfflinePage();
             
         } catch (error) {
             console.error('Error initializing site:', error);
@@ -61,7 +73,7 @@ class HQVSite {
                 tagline: "Business, comedy, and the occasional bad idea.",
                 accent_color: "#FFD200",
                 on_air: false,
-                social: { x: "#", youtube: "#", spotify: "#", apple: "#" }
+                social: {}
             };
         }
     }
@@ -125,24 +137,148 @@ class HQVSite {
                 }
             });
         }
-
-        // Active nav link highlighting
-        const currentPage = window.location.pathname;
-        const navLinks = document.querySelectorAll('.nav-link');
-        
-        navLinks.forEach(link => {
-            if (link.getAttribute('href') === currentPage || 
-                (currentPage === '/index.html' && link.getAttribute('href') === '/') ||
-                (currentPage === '/' && link.getAttribute('href') === '/')) {
-                link.classList.add('active');
-            }
-        });
     }
 
     setupLiveIndicator() {
         const liveIndicator = document.getElementById('live-indicator');
-        if (liveIndicator && this.config?.on_air) {
-            liveIndicator.style.display = 'flex';
+        const heroPlayer = document.getElementById('hero-video-player');
+        if (!liveIndicator && !heroPlayer) return;
+
+        // The page's own embed plays while off air unless config.live.hero_youtube_id names one
+        this.offAirVideoSrc = heroPlayer?.querySelector('iframe')?.getAttribute('src') || '';
+
+        // Status is cheap to recompute, so one timer drives both the indicator and the countdown
+        this.updateLiveStatus();
+        setInterval(() => this.updateLiveStatus(), 1000);
+
+        const pollSeconds = this.config?.live?.poll_seconds;
+        if (pollSeconds) {
+            setInterval(() => this.refreshLiveConfig(), pollSeconds * 1000);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) this.refreshLiveConfig();
+            });
+        }
+    }
+
+    // config.on_air: true/false overrides the schedule, "auto" (or unset) follows it
+    getLiveStatus(now = new Date()) {
+        if (!this.liveSchedule) {
+            this.liveSchedule = new LiveSchedule(this.config?.live);
+        }
+
+        const status = this.liveSchedule.status(now);
+        if (this.config?.on_air === true) {
+            return { ...status, live: true };
+        }
+        if (this.config?.on_air === false) {
+            return { ...status, live: false, current: null };
+        }
+        return status;
+    }
+
+    updateLiveStatus() {
+        const now = new Date();
+        const status = this.getLiveStatus(now);
+
+        const liveIndicator = document.getElementById('live-indicator');
+        if (liveIndicator) {
+            liveIndicator.style.display = status.live ? 'flex' : 'none';
+            liveIndicator.title = status.current?.title || '';
+        }
+
+        this.setHeroVideo(status.live);
+        this.renderLiveCountdown(status, now);
+    }
+
+    setHeroVideo(live) {
+        const frame = document.querySelector('#hero-video-player iframe');
+        if (!frame) return;
+
+        const liveId = this.config?.live_youtube_id;
+        const offAirId = this.config?.live?.hero_youtube_id;
+        const isLive = Boolean(live && liveId);
+        const src = isLive
+            ? `https://www.youtube.com/embed/${encodeURIComponent(liveId)}?autoplay=1&mute=1`
+            : offAirId ? `https://www.youtube.com/embed/${encodeURIComponent(offAirId)}` : this.offAirVideoSrc;
+
+        // Only touch the iframe on a change so a playing video isn't reloaded every tick
+        if (!src || frame.getAttribute('src') === src) return;
+
+        frame.setAttribute('src', src);
+        frame.title = isLive ? `${this.config?.site_name || 'Headquarters Ventures'} - Live` : (this.config?.site_name || 'Headquarters Ventures');
+        if (isLive) Analytics.trackEvent('Live', 'Hero Switch', liveId);
+    }
+
+    renderLiveCountdown(status, now = new Date()) {
+        const countdown = document.getElementById('live-countdown');
+        if (!countdown) return;
+
+        if (status.live || !status.next) {
+            countdown.hidden = true;
+            return;
+        }
+
+        // Rebuild only when the next show changes; every other tick just updates the timer text
+        const start = status.next.start.toISOString();
+        if (countdown.dataset.start !== start) {
+            const startLabel = status.next.start.toLocaleString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            });
+
+            countdown.dataset.start = start;
+            countdown.innerHTML = html`
+                <span class="live-countdown-label">Next live show</span>
+                <span class="live-countdown-title">${status.next.title}</span>
+                <time class="live-countdown-timer" datetime="${start}" title="${startLabel}"></time>
+                <span class="live-countdown-date">${startLabel}</span>
+            `;
+        }
+
+        countdown.querySelector('.live-countdown-timer').textContent = this.formatCountdown(status.next.start - now);
+        countdown.hidden = false;
+    }
+
+    // 93784000 -> "1d 02h 03m", under a day -> "02:03:04"
+    formatCountdown(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const pad = value => String(value).padStart(2, '0');
+        const hours = pad(Math.floor((totalSeconds % 86400) / 3600));
+        const minutes = pad(Math.floor((totalSeconds % 3600) / 60));
+
+        return days > 0
+            ? `${days}d ${hours}h ${minutes}m`
+            : `${hours}:${minutes}:${pad(totalSeconds % 60)}`;
+    }
+
+    // Re-reads the live settings so a producer can go live without a redeploy. config.live.status_url
+    // can point at any JSON with the same keys (e.g. a raw gist) when /data/config.json is cached.
+    async refreshLiveConfig() {
+        if (document.hidden) return;
+
+        try {
+            const response = await fetch(this.config?.live?.status_url || '/data/config.json', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const latest = await response.json();
+
+            ['on_air', 'live_youtube_id'].forEach(key => {
+                if (key in latest) this.config[key] = latest[key];
+            });
+            if (latest.live) {
+                this.config.live = { ...this.config.live, ...latest.live };
+                this.liveSchedule = null;
+            }
+
+            this.updateLiveStatus();
+        } catch (error) {
+            console.error('Error refreshing live status:', error);
         }
     }
 
@@ -161,20 +297,23 @@ class HQVSite {
 
     loadLatestEpisodes() {
         const container = document.getElementById('latest-episodes');
-        if (!container || !this.episodes) return;
+        // Pre-rendered pages already carry the cards
+        if (!container || !this.episodes || container.dataset.prerendered !== undefined) return;
+
+        container.innerHTML = this.createLatestEpisodes();
+    }
 
+    createLatestEpisodes() {
         // Show latest 3 episodes
         const latestEpisodes = this.episodes
             .filter(ep => ep.featured)
             .slice(0, 3);
 
         if (latestEpisodes.length === 0) {
-            container.innerHTML = '<div class="loading">No episodes available yet.</div>';
-            return;
+            return html`<div class="loading">No episodes available yet.</div>`;
         }
 
-        const episodeCards = latestEpisodes.map(episode => this.createEpisodeCard(episode));
-        container.innerHTML = episodeCards.join('');
+        return html`${latestEpisodes.map(episode => this.createEpisodeCard(episode))}`;
     }
 
     createEpisodeCard(episode) {
@@ -184,662 +323,4035 @@ class HQVSite {
             day: 'numeric'
         });
 
-        return `
+        return html`
             <div class="episode-card">
                 <div class="episode-number">Episode ${episode.number}</div>
-                <h3 class="episode-title">${episode.title}</h3>
+                <h3 class="episode-title">
+                    <a href="${this.getEpisodeUrl(episode)}">${episode.title}</a>
+                </h3>
                 <p class="episode-description">${episode.description}</p>
                 <div class="episode-meta">
                     <span>${date}</span>
                     <span>${episode.duration}</span>
                 </div>
-                ${episode.guest ? `<div class="episode-guest">Guest: ${episode.guest}</div>` : ''}
+                ${episode.guest ? html`<div class="episode-guest">Guest: ${episode.guest}</div>` : ''}
             </div>
         `;
     }
 
-    loadRecentPosts() {
-        const container = document.getElementById('recent-posts');
-        if (!container || !this.posts) return;
+    getEpisodeUrl(episode) {
+        // Served as a pre-rendered page after a build, or through the /episodes/:number rewrite
+        return `/episodes/${parseInt(episode.number, 10)}`;
+    }
 
-        // Show latest 3 posts
-        const recentPosts = this.posts
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 3);
+    findEpisodeFromLocation() {
+        // Supports both /episode.html?id=ep-001 and the /episodes/001 rewrite
+        const params = new URLSearchParams(window.location.search);
+        const id = params.get('id');
+        if (id) {
+            return this.episodes.find(ep => ep.id === id);
+        }
 
-        if (recentPosts.length === 0) {
-            container.innerHTML = '<div class="loading">No blog posts available yet.</div>';
+        const match = window.location.pathname.match(/\/episodes\/([^/]+)\/?$/);
+        if (match) {
+            const number = parseInt(match[1], 10);
+            return this.episodes.find(ep => parseInt(ep.number, 10) === number);
+        }
+
+        return undefined;
+    }
+
+    setupEpisodePage() {
+        const container = document.getElementById('episode-detail');
+        if (!container || !this.episodes) return;
+
+        const episode = this.findEpisodeFromLocation();
+        if (!episode) {
+            container.innerHTML = html`
+                <div class="episode-not-found">
+                    <h1>Episode not found</h1>
+                    <p>We couldn't find that episode. It may have been renumbered or never existed.</p>
+                    <a href="/episodes.html" class="btn btn-primary">Browse All Episodes</a>
+                </div>
+            `;
             return;
         }
 
-        const postCards = recentPosts.map(post => this.createPostCard(post));
-        container.innerHTML = postCards.join('');
+        if (container.dataset.prerendered === undefined) {
+            document.title = `${episode.title} - Headquarters Ventures`;
+            container.innerHTML = this.createEpisodeDetail(episode);
+        }
+        this.setupAudioPlayer(episode);
+        this.setupTranscript(episode);
     }
 
-    createPostCard(post) {
-        const date = new Date(post.date).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+    createEpisodeDetail(episode) {
+        const youtubeId = this.getYouTubeId(episode.youtube_url);
+        const topics = (episode.topics || []).map(topic => html`<span class="topic-chip">${topic}</span>`);
 
-        const postUrl = post.url || `/post.html?id=${post.id}`;
-        const linkTarget = post.url ? '_blank' : '_self';
+        return html`
+            <a href="/episodes.html" class="episode-back">&larr; All Episodes</a>
+            <header class="episode-detail-header">
+                <div class="episode-number">Episode ${episode.number}</div>
+                <h1 class="episode-detail-title">${episode.title}</h1>
+                <div class="episode-meta">
+                    <span>${this.formatDate(episode.date)}</span>
+                    <span>${episode.duration}</span>
+                </div>
+                ${episode.guest ? html`
+                    <div class="episode-guest">
+                        Guest: <a href="/guests.html#guest-${Markdown.slugify(episode.guest)}">${episode.guest}</a>${episode.guest_title ? html` &mdash; ${episode.guest_title}` : ''}
+                    </div>
+                ` : ''}
+            </header>
+
+            <div class="episode-detail-layout">
+                <div class="episode-main">
+                    ${episode.audio_url ? this.createAudioPlayer(episode) : ''}
+
+                    ${youtubeId ? html`
+                        <div class="episode-video">
+                            <iframe
+                                src="https://www.youtube.com/embed/${youtubeId}"
+                                title="${episode.title}"
+                                frameborder="0"
+                                allow="accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+                                allowfullscreen>
+                            </iframe>
+                        </div>
+                    ` : ''}
+
+                    <div class="episode-show-notes">
+                        <h2>Show Notes</h2>
+                        <p>${episode.show_notes || episode.description}</p>
+                    </div>
+                </div>
 
-        return `
-            <article class="post-card">
-                <div class="post-content">
-                    <div class="post-date">${date}</div>
-                    <h3 class="post-title">
-                        <a href="${postUrl}" target="${linkTarget}">${post.title}</a>
-                    </h3>
-                    <p class="post-excerpt">${post.excerpt}</p>
-                    <div class="post-category">${post.category}</div>
+                <aside class="episode-sidebar">
+                    ${episode.transcript_url ? html`
+                        <div class="episode-transcript" id="episode-transcript">
+                            <div class="transcript-header">
+                                <h3>Transcript</h3>
+                                <span class="transcript-status" id="transcript-status" aria-live="polite"></span>
+                            </div>
+                            <div class="transcript-search">
+                                <input type="search" id="transcript-search" placeholder="Search transcript" aria-label="Search transcript">
+                                <button class="transcript-nav" data-direction="-1" aria-label="Previous match">&uarr;</button>
+                                <button class="transcript-nav" data-direction="1" aria-label="Next match">&darr;</button>
+                            </div>
+                            <div class="transcript-lines" id="transcript-lines">
+                                <div class="loading">Loading transcript...</div>
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${topics.length > 0 ? html`
+                        <div class="episode-topics">
+                            <h3>Topics</h3>
+                            <div class="topic-chips">${topics}</div>
+                        </div>
+                    ` : ''}
+                </aside>
+            </div>
+        `;
+    }
+
+    createAudioPlayer(episode) {
+        const speeds = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+        return html`
+            <div class="audio-player" id="audio-player">
+                <audio id="episode-audio" preload="metadata" src="${episode.audio_url}"></audio>
+                <div class="audio-controls">
+                    <button class="audio-btn" data-action="back" aria-label="Skip back 15 seconds">-15</button>
+                    <button class="audio-btn audio-play" data-action="toggle" aria-label="Play">&#9654;</button>
+                    <button class="audio-btn" data-action="forward" aria-label="Skip forward 15 seconds">+15</button>
+                    <select class="audio-speed" id="audio-speed" aria-label="Playback speed">
+                        ${speeds.map(speed => html`<option value="${speed}"${speed === 1 ? html` selected` : ''}>${speed}x</option>`)}
+                    </select>
+                    <button class="audio-offline" data-action="offline" aria-pressed="false" hidden>Save offline</button>
                 </div>
-            </article>
+                <div class="audio-progress">
+                    <span class="audio-time" id="audio-current">0:00</span>
+                    <input type="range" class="audio-seek" id="audio-seek" min="0" max="0" step="1" value="0" aria-label="Seek">
+                    <span class="audio-time" id="audio-duration">${episode.duration || '0:00'}</span>
+                </div>
+                <div class="audio-status" id="audio-status" role="status" hidden></div>
+            </div>
         `;
     }
 
-    setupNewsletterSignup() {
-        const container = document.getElementById('newsletter-signup');
-        if (!container || !this.config?.subscribe_embed) return;
+    setupAudioPlayer(episode) {
+        const audio = document.getElementById('episode-audio');
+        const player = document.getElementById('audio-player');
+        if (!audio || !player) return;
+
+        const playButton = player.querySelector('[data-action="toggle"]');
+        const seek = document.getElementById('audio-seek');
+        const speed = document.getElementById('audio-speed');
+        const currentEl = document.getElementById('audio-current');
+        const durationEl = document.getElementById('audio-duration');
+        const storageKey = `hqv-playback-${episode.id}`;
+        let lastSaved = 0;
+
+        this.episodeAudio = audio;
+
+        const savePosition = () => {
+            try {
+                localStorage.setItem(storageKey, String(Math.floor(audio.currentTime)));
+            } catch (error) {
+                // Storage can be unavailable (private mode, quota) - resuming is best-effort
+            }
+        };
 
-        // Only show if there's actual embed code (not the placeholder comment)
-        if (this.config.subscribe_embed.includes('<!-- Paste your')) {
-            container.style.display = 'none';
-        } else {
-            container.innerHTML = this.config.subscribe_embed;
+        audio.addEventListener('loadedmetadata', () => {
+            seek.max = Math.floor(audio.duration);
+            durationEl.textContent = this.formatTime(audio.duration);
+
+            let saved = 0;
+            try {
+                saved = Number(localStorage.getItem(storageKey)) || 0;
+            } catch (error) {
+                saved = 0;
+            }
+            if (saved > 0 && saved < audio.duration - 5) {
+                audio.currentTime = saved;
+            }
+        });
+
+        audio.addEventListener('timeupdate', () => {
+            seek.value = Math.floor(audio.currentTime);
+            currentEl.textContent = this.formatTime(audio.currentTime);
+
+            // Persist roughly every 5 seconds of playback
+            if (Math.abs(audio.currentTime - lastSaved) >= 5) {
+                lastSaved = audio.currentTime;
+                savePosition();
+            }
+        });
+
+        audio.addEventListener('play', () => {
+            this.setAudioStatus('');
+            playButton.innerHTML = '&#10074;&#10074;';
+            playButton.setAttribute('aria-label', 'Pause');
+        });
+
+        audio.addEventListener('pause', () => {
+            playButton.innerHTML = '&#9654;';
+            playButton.setAttribute('aria-label', 'Play');
+            savePosition();
+        });
+
+        audio.addEventListener('ended', () => {
+            try {
+                localStorage.removeItem(storageKey);
+            } catch (error) {
+                // Ignore storage errors
+            }
+        });
+
+        player.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'toggle':
+                    if (audio.paused) {
+                        this.playEpisodeAudio().then(played => {
+                            if (played) Analytics.trackEvent('Episode', 'Play', episode.id);
+                        });
+                    } else {
+                        audio.pause();
+                    }
+                    break;
+                case 'back':
+                    audio.currentTime = Math.max(0, audio.currentTime - 15);
+                    break;
+                case 'forward':
+                    audio.currentTime = Math.min(audio.duration || Infinity, audio.currentTime + 15);
+                    break;
+                case 'offline':
+                    this.toggleOfflineAudio(episode, button);
+                    break;
+            }
+        });
+
+        seek.addEventListener('input', () => {
+            audio.currentTime = Number(seek.value);
+        });
+
+        speed.addEventListener('change', () => {
+            audio.playbackRate = Number(speed.value);
+        });
+
+        window.addEventListener('pagehide', savePosition);
+
+        // Saving for offline needs the Cache API and sw.js to play it back
+        const offlineButton = player.querySelector('[data-action="offline"]');
+        if (offlineButton && OfflineAudio.isSupported()) {
+            offlineButton.hidden = false;
+            OfflineAudio.has(episode.audio_url)
+                .then(saved => this.setOfflineAudioState(offlineButton, saved ? 'saved' : 'idle'))
+                .catch(() => {
+                    offlineButton.hidden = true;
+                });
         }
     }
 
-    setupFooterLinks() {
-        if (!this.config?.social) return;
+    // Resolves to whether playback started; play() rejects for unreachable or unsupported audio
+    playEpisodeAudio() {
+        return this.episodeAudio.play()
+            .then(() => true)
+            .catch(error => {
+                // A pause() before playback started isn't a failure
+                if (error.name !== 'AbortError') {
+                    console.error('Error playing episode audio:', error);
+                    this.setAudioStatus('This episode can\'t be played right now. Please try again later.');
+                }
+                return false;
+            });
+    }
+
+    setAudioStatus(message) {
+        const status = document.getElementById('audio-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    async toggleOfflineAudio(episode, button) {
+        if (button.getAttribute('aria-pressed') === 'true') {
+            try {
+                await OfflineAudio.remove(episode.audio_url);
+                this.setOfflineAudioState(button, 'idle');
+            } catch (error) {
+                // The copy is most likely still cached, so leave the button offering to remove it
+                console.error('Error removing offline episode:', error);
+                this.setOfflineAudioState(button, 'saved');
+            }
+            return;
+        }
+
+        this.setOfflineAudioState(button, 'saving');
+        try {
+            await OfflineAudio.save(episode.audio_url);
+            this.setOfflineAudioState(button, 'saved');
+            Analytics.trackEvent('Episode', 'Save Offline', episode.id);
+        } catch (error) {
+            console.error('Error saving episode for offline:', error);
+            this.setOfflineAudioState(button, 'error');
+        }
+    }
 
-        // Update footer social links
-        const footerLinks = {
-            'footer-x': this.config.social.x,
-            'footer-youtube': this.config.social.youtube,
-            'footer-spotify': this.config.social.spotify,
-            'footer-apple': this.config.social.apple
+    setOfflineAudioState(button, state) {
+        const labels = {
+            idle: 'Save offline',
+            saving: 'Saving...',
+            saved: 'Saved offline',
+            error: 'Could not save, try again'
         };
 
-        Object.entries(footerLinks).forEach(([id, url]) => {
-            const link = document.getElementById(id);
-            if (link && url && url !== '#') {
-                link.href = url;
+        button.textContent = labels[state];
+        button.disabled = state === 'saving';
+        button.setAttribute('aria-pressed', String(state === 'saved'));
+        button.title = state === 'saved' ? 'Remove the offline copy' : '';
+    }
+
+    async loadTranscript(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return this.parseTranscript(await response.text());
+    }
+
+    parseTranscript(text) {
+        const source = text.replace(/\r\n?/g, '\n').trim();
+        const cueTiming = /^\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+
+        // WebVTT and SRT share the same block structure: optional id, timing line, cue text
+        if (/^WEBVTT/.test(source) || /^\d+\n[^\n]*-->/.test(source)) {
+            return source.split(/\n{2,}/)
+                .map(block => {
+                    const lines = block.split('\n');
+                    const timingIndex = lines.findIndex(line => cueTiming.test(line));
+                    if (timingIndex === -1) return null;
+
+                    const [, start, end] = lines[timingIndex].match(cueTiming);
+                    const cueText = lines.slice(timingIndex + 1)
+                        .join(' ')
+                        .replace(/<[^>]+>/g, '')
+                        .trim();
+                    if (!cueText) return null;
+
+                    return {
+                        start: this.parseTimestamp(start),
+                        end: this.parseTimestamp(end),
+                        text: cueText
+                    };
+                })
+                .filter(Boolean);
+        }
+
+        // Plain text: "[00:01:23] Speaker: words" or "1:23 words"; untimed lines continue the previous cue
+        const timestamped = /^\s*[[(]?((?:\d+:)?\d{1,2}:\d{2})[\])]?\s*[-–]?\s*(.*)$/;
+        const cues = [];
+        source.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            const match = line.match(timestamped);
+            if (match) {
+                cues.push({ start: this.parseTimestamp(match[1]), end: null, text: match[2].trim() });
+            } else if (cues.length > 0 && cues[cues.length - 1].start !== null) {
+                cues[cues.length - 1].text += ` ${line.trim()}`;
+            } else {
+                cues.push({ start: null, end: null, text: line.trim() });
+            }
+        });
+
+        // Fill in end times from the following cue
+        cues.forEach((cue, index) => {
+            if (cue.end === null && cue.start !== null) {
+                const next = cues[index + 1];
+                cue.end = next && next.start !== null ? next.start : Infinity;
             }
         });
+
+        return cues;
     }
 
-    // Utility methods
-    formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+    parseTimestamp(value) {
+        return value.replace(',', '.')
+            .split(':')
+            .reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    async setupTranscript(episode) {
+        const panel = document.getElementById('episode-transcript');
+        if (!panel) return;
+
+        const list = document.getElementById('transcript-lines');
+        const status = document.getElementById('transcript-status');
+        const searchInput = document.getElementById('transcript-search');
+
+        let cues;
+        try {
+            cues = await this.loadTranscript(episode.transcript_url);
+        } catch (error) {
+            console.error('Error loading transcript:', error);
+            list.innerHTML = '<div class="loading">Transcript unavailable for this episode.</div>';
+            searchInput.disabled = true;
+            return;
+        }
+
+        if (cues.length === 0) {
+            list.innerHTML = '<div class="loading">Transcript unavailable for this episode.</div>';
+            searchInput.disabled = true;
+            return;
+        }
+
+        const audio = this.episodeAudio;
+        const lineEls = cues.map((cue, index) => {
+            const line = document.createElement(cue.start === null ? 'p' : 'button');
+            line.className = 'transcript-line';
+            line.dataset.index = index;
+
+            if (cue.start !== null) {
+                const time = document.createElement('span');
+                time.className = 'transcript-time';
+                time.textContent = this.formatTime(cue.start);
+                line.appendChild(time);
+            }
+
+            const words = document.createElement('span');
+            words.className = 'transcript-text';
+            words.textContent = cue.text;
+            line.appendChild(words);
+
+            return line;
+        });
+
+        list.innerHTML = '';
+        lineEls.forEach(line => list.appendChild(line));
+
+        // Click-to-seek
+        list.addEventListener('click', (e) => {
+            const line = e.target.closest('button.transcript-line');
+            if (!line || !audio) return;
+            audio.currentTime = cues[line.dataset.index].start;
+            if (audio.paused) this.playEpisodeAudio();
+        });
+
+        // Pause auto-scrolling briefly while the listener scrolls the transcript themselves
+        let userScrolledAt = 0;
+        ['wheel', 'touchmove'].forEach(type => {
+            list.addEventListener(type, () => { userScrolledAt = Date.now(); }, { passive: true });
+        });
+
+        const scrollToLine = (line) => {
+            list.scrollTop = line.offsetTop - list.offsetTop - list.clientHeight / 3;
+        };
+
+        // Highlight the line being spoken
+        let activeIndex = -1;
+        if (audio) {
+            audio.addEventListener('timeupdate', () => {
+                const index = this.findCueIndex(cues, audio.currentTime);
+                if (index === activeIndex) return;
+
+                if (activeIndex !== -1) lineEls[activeIndex].classList.remove('active');
+                activeIndex = index;
+                if (index === -1) return;
+
+                lineEls[index].classList.add('active');
+                if (Date.now() - userScrolledAt > 4000) {
+                    scrollToLine(lineEls[index]);
+                }
+            });
+        }
+
+        // Search: highlight every match and step through them
+        let matches = [];
+        let matchPosition = -1;
+
+        const showMatch = (position) => {
+            lineEls.forEach(line => line.classList.remove('current-match'));
+            if (matches.length === 0) return;
+
+            matchPosition = (position + matches.length) % matches.length;
+            const line = lineEls[matches[matchPosition]];
+            line.classList.add('current-match');
+            scrollToLine(line);
+            userScrolledAt = Date.now();
+            status.textContent = `${matchPosition + 1} of ${matches.length}`;
+        };
+
+        searchInput.addEventListener('input', () => {
+            const query = searchInput.value.trim().toLowerCase();
+            matches = [];
+
+            lineEls.forEach((line, index) => {
+                const textEl = line.querySelector('.transcript-text');
+                const text = cues[index].text;
+                textEl.textContent = text;
+
+                if (!query) return;
+                const lower = text.toLowerCase();
+                if (!lower.includes(query)) return;
+
+                matches.push(index);
+                textEl.textContent = '';
+                let cursor = 0;
+                let found = lower.indexOf(query);
+                while (found !== -1) {
+                    textEl.appendChild(document.createTextNode(text.slice(cursor, found)));
+                    const mark = document.createElement('mark');
+                    mark.textContent = text.slice(found, found + query.length);
+                    textEl.appendChild(mark);
+                    cursor = found + query.length;
+                    found = lower.indexOf(query, cursor);
+                }
+                textEl.appendChild(document.createTextNode(text.slice(cursor)));
+            });
+
+            if (!query) {
+                status.textContent = '';
+                showMatch(-1);
+            } else if (matches.length === 0) {
+                status.textContent = 'No matches';
+                showMatch(-1);
+            } else {
+                showMatch(0);
+            }
+        });
+
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                showMatch(matchPosition + (e.shiftKey ? -1 : 1));
+            }
+        });
+
+        panel.querySelectorAll('.transcript-nav').forEach(button => {
+            button.addEventListener('click', () => {
+                showMatch(matchPosition + Number(button.dataset.direction));
+            });
         });
     }
 
-    truncateText(text, maxLength = 150) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength).trim() + '...';
+    findCueIndex(cues, time) {
+        // Binary search over cues sorted by start time
+        let low = 0;
+        let high = cues.length - 1;
+        let result = -1;
+
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (cues[mid].start !== null && cues[mid].start <= time) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (result !== -1 && cues[result].end !== null && time >= cues[result].end) {
+            return -1;
+        }
+        return result;
     }
 
-    setupPortfolioTracker() {
-        // Portfolio holdings - diversified across major stocks
-        this.portfolioHoldings = [
-            { symbol: 'AAPL', name: 'Apple Inc.', shares: 12, price: 175.50 },
-            { symbol: 'MSFT', name: 'Microsoft Corp.', shares: 8, price: 410.25 },
-            { symbol: 'GOOGL', name: 'Alphabet Inc.', shares: 15, price: 140.80 },
-            { symbol: 'AMZN', name: 'Amazon.com Inc.', shares: 6, price: 180.45 },
-            { symbol: 'TSLA', name: 'Tesla Inc.', shares: 20, price: 250.90 },
-            { symbol: 'NVDA', name: 'NVIDIA Corp.', shares: 3, price: 880.60 },
-            { symbol: 'META', name: 'Meta Platforms', shares: 10, price: 320.15 },
-            { symbol: 'NFLX', name: 'Netflix Inc.', shares: 4, price: 450.30 },
-            { symbol: 'V', name: 'Visa Inc.', shares: 7, price: 260.40 },
-            { symbol: 'JPM', name: 'JPMorgan Chase', shares: 9, price: 145.25 }
-        ];
+    getGuests() {
+        const guests = new Map();
+
+        this.episodes.forEach(episode => {
+            if (!episode.guest) return;
+
+            const slug = Markdown.slugify(episode.guest);
+            if (!guests.has(slug)) {
+                guests.set(slug, { name: episode.guest, slug, title: '', image: '', episodes: [] });
+            }
+
+            const guest = guests.get(slug);
+            guest.episodes.push(episode);
+        });
+
+        // Title and headshot come from the guest's most recent appearance
+        guests.forEach(guest => {
+            guest.episodes.sort((a, b) => new Date(b.date) - new Date(a.date));
+            const latest = guest.episodes.find(ep => ep.guest_title) || guest.episodes[0];
+            guest.title = latest.guest_title || '';
+            guest.image = (guest.episodes.find(ep => ep.guest_image) || {}).guest_image || '';
+        });
+
+        return [...guests.values()];
+    }
+
+    setupGuestDirectory() {
+        const container = document.getElementById('guest-list');
+        if (!container || !this.episodes) return;
+
+        this.guests = this.getGuests();
+
+        const sortSelect = document.getElementById('guest-sort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => this.renderGuestDirectory(sortSelect.value));
+        }
+
+        const sort = sortSelect ? sortSelect.value : 'name';
+        if (container.dataset.prerendered === undefined || sort !== 'name') {
+            this.renderGuestDirectory(sort);
+        }
+
+        // Deep link to a guest profile, e.g. /guests.html#guest-sarah-chen
+        const focusGuest = () => {
+            const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+            if (!target || !target.classList.contains('guest-card')) return;
+
+            container.querySelectorAll('.guest-card.highlighted')
+                .forEach(card => card.classList.remove('highlighted'));
+            target.classList.add('highlighted');
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        };
+
+        focusGuest();
+        window.addEventListener('hashchange', focusGuest);
+    }
+
+    renderGuestDirectory(sort) {
+        const container = document.getElementById('guest-list');
+        const countEl = document.getElementById('guest-count');
+        if (!container) return;
+
+        const guests = this.sortGuests(this.guests, sort);
+
+        if (countEl) {
+            countEl.textContent = this.formatGuestCount(guests.length);
+        }
+
+        if (guests.length === 0) {
+            container.innerHTML = '<div class="loading">No guests yet.</div>';
+            return;
+        }
 
-        // Calculate total portfolio value
-        let totalValue = this.portfolioHoldings.reduce((sum, holding) => 
-            sum + (holding.shares * holding.price), 0);
+        const highlighted = window.location.hash.slice(1);
+        container.innerHTML = html`${guests.map(guest => this.createGuestCard(guest, highlighted))}`;
+    }
+
+    sortGuests(guests, sort) {
+        return [...guests].sort((a, b) => {
+            if (sort === 'appearances' && b.episodes.length !== a.episodes.length) {
+                return b.episodes.length - a.episodes.length;
+            }
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    formatGuestCount(count) {
+        return `${count} guest${count === 1 ? '' : 's'}`;
+    }
 
-        // Mock performance data
-        let previousValue = totalValue * 0.985; // Simulate 1.5% gain
-        let change = totalValue - previousValue;
-        let changePercent = (change / previousValue) * 100;
+    createGuestCard(guest, highlighted = '') {
+        const id = `guest-${guest.slug}`;
+        const initials = this.getInitials(guest.name);
+
+        const episodes = guest.episodes.map(episode => html`
+            <li>
+                <a href="${this.getEpisodeUrl(episode)}">
+                    <span class="guest-episode-number">Ep. ${episode.number}</span>
+                    ${episode.title}
+                </a>
+            </li>
+        `);
+
+        return html`
+            <article class="guest-card${id === highlighted ? ' highlighted' : ''}" id="${id}">
+                <div class="guest-photo">
+                    ${guest.image
+                        ? html`<img src="${guest.image}" alt="${guest.name}" class="team-headshot">`
+                        : html`<div class="avatar-placeholder guest-avatar"><span class="avatar-initials">${initials}</span></div>`}
+                </div>
+                <div class="guest-info">
+                    <h3 class="member-name">
+                        <a href="#${id}" class="guest-anchor">${guest.name}</a>
+                    </h3>
+                    ${guest.title ? html`<p class="member-role">${guest.title}</p>` : ''}
+                    <p class="guest-appearances">${guest.episodes.length} appearance${guest.episodes.length === 1 ? '' : 's'}</p>
+                    <ul class="guest-episodes">${episodes}</ul>
+                </div>
+            </article>
+        `;
+    }
+
+    getInitials(name) {
+        // Skip titles like "Dr." so "Dr. Jennifer Kim" becomes "JK"
+        return name
+            .split(/\s+/)
+            .filter(part => /^[A-Za-z]/.test(part) && !/\.$/.test(part))
+            .map(part => part[0])
+            .slice(0, 2)
+            .join('')
+            .toUpperCase();
+    }
+
+    async loadTeam() {
+        try {
+            const response = await fetch('/data/team.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.team = data.members || [];
+        } catch (error) {
+            console.error('Error loading team:', error);
+            this.displayError('Could not load the team.');
+            this.team = [];
+        }
+    }
+
+    async setupTeamPage() {
+        const container = document.querySelector('.team-grid');
+        if (!container) return;
+
+        await this.loadTeam();
+
+        if (container.dataset.prerendered === undefined) {
+            container.innerHTML = this.createTeamGrid();
+        }
+        if (this.team.length === 0) return;
+
+        // The whole card opens the profile, except for its own social links
+        container.addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+            const card = e.target.closest('.team-member');
+            if (card) this.openTeamModal(card.dataset.member, card.querySelector('.member-profile-btn'));
+        });
+
+        // Deep link to a profile, e.g. /team.html#dante-gabrielli
+        const memberId = window.location.hash.slice(1);
+        if (this.team.some(member => member.id === memberId)) {
+            this.openTeamModal(memberId, container.querySelector(`[data-member="${memberId}"] .member-profile-btn`));
+        }
+    }
+
+    createTeamGrid() {
+        return this.team.length > 0
+            ? html`${this.team.map(member => this.createTeamCard(member))}`
+            : '<div class="loading">Team coming soon.</div>';
+    }
+
+    getMemberEpisodes(member) {
+        return (this.episodes || [])
+            .filter(episode => (episode.hosts || []).includes(member.id) || episode.guest === member.name)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    createMemberPhoto(member) {
+        return member.headshot
+            ? html`<img src="${member.headshot}" alt="${member.name}" class="team-headshot">`
+            : html`<div class="avatar-placeholder member-avatar"><span class="avatar-initials">${this.getInitials(member.name)}</span></div>`;
+    }
+
+    createMemberSocial(member) {
+        const links = Object.entries(member.social || {})
+            .filter(([network, url]) => url && url !== '#' && SOCIAL_NETWORKS[network]?.svg)
+            .map(([network, url]) => html`
+                <a href="${url}" target="_blank" rel="noopener" class="social-link" aria-label="${member.name} on ${SOCIAL_NETWORKS[network].label}">
+                    ${SOCIAL_NETWORKS[network].svg}
+                </a>
+            `);
+
+        return links.length > 0 ? html`<div class="member-social">${links}</div>` : '';
+    }
+
+    createTeamCard(member) {
+        return html`
+            <article class="team-member" data-member="${member.id}">
+                <div class="member-photo">
+                    ${this.createMemberPhoto(member)}
+                </div>
+                <div class="member-info">
+                    <h3 class="member-name">
+                        <button type="button" class="member-profile-btn" aria-haspopup="dialog">${member.name}</button>
+                    </h3>
+                    <p class="member-role">${member.role}</p>
+                    <p class="member-bio">${this.truncateText(member.bio, 120)}</p>
+                    ${this.createMemberSocial(member)}
+                </div>
+            </article>
+        `;
+    }
+
+    createTeamModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'team-modal';
+        modal.hidden = true;
+        modal.innerHTML = html`
+            <div class="modal-overlay" data-close></div>
+            <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="team-modal-name" tabindex="-1">
+                <button type="button" class="modal-close" aria-label="Close profile" data-close>&times;</button>
+                <div class="modal-body"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.closest('[data-close]')) this.closeTeamModal();
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeTeamModal();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            // Keep focus inside the dialog while it's open
+            const focusable = [...modal.querySelectorAll('a[href], button:not([disabled])')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+
+        return modal;
+    }
+
+    openTeamModal(memberId, trigger = null) {
+        const member = this.team.find(item => item.id === memberId);
+        if (!member) return;
+
+        if (!this.teamModal) this.teamModal = this.createTeamModal();
+        this.teamModalTrigger = trigger;
+
+        const episodes = this.getMemberEpisodes(member);
+        // Until episodes list their hosts, an empty list would wrongly say the hosts were never on the show
+        const hostsListed = (this.episodes || []).some(episode => Array.isArray(episode.hosts));
+        let episodesHtml = '';
+        if (episodes.length > 0) {
+            episodesHtml = html`<ul class="guest-episodes">
+                ${episodes.map(episode => html`
+                    <li>
+                        <a href="${this.getEpisodeUrl(episode)}">
+                            <span class="guest-episode-number">Ep. ${episode.number}</span>
+                            ${episode.title}
+                        </a>
+                    </li>
+                `)}
+            </ul>`;
+        } else if (hostsListed) {
+            episodesHtml = html`<p class="member-bio">Hasn't been on an episode yet.</p>`;
+        }
+
+        this.teamModal.querySelector('.modal-body').innerHTML = html`
+            <div class="member-photo">
+                ${this.createMemberPhoto(member)}
+            </div>
+            <h2 class="member-name" id="team-modal-name">${member.name}</h2>
+            <p class="member-role">${member.role}</p>
+            <p class="member-bio">${member.bio}</p>
+            ${this.createMemberSocial(member)}
+            ${episodesHtml ? html`
+                <div class="member-episodes">
+                    <h3>Episodes</h3>
+                    ${episodesHtml}
+                </div>
+            ` : ''}
+        `;
+
+        this.teamModal.hidden = false;
+        document.body.classList.add('modal-open');
+        this.teamModal.querySelector('.modal-dialog').focus();
+
+        history.replaceState(null, '', `#${member.id}`);
+        Analytics.trackEvent('Team', 'Profile', member.id);
+    }
+
+    closeTeamModal() {
+        if (!this.teamModal || this.teamModal.hidden) return;
+
+        this.teamModal.hidden = true;
+        document.body.classList.remove('modal-open');
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        if (this.teamModalTrigger) {
+            this.teamModalTrigger.focus();
+            this.teamModalTrigger = null;
+        }
+    }
+
+    getYouTubeId(url) {
+        if (!url) return null;
+        const match = url.match(/(?:youtube\.com\/(?:watch\?v=|embed\/|live\/)|youtu\.be\/)([\w-]{6,})/);
+        return match ? match[1] : null;
+    }
+
+    setupEpisodeArchive() {
+        const container = document.getElementById('episode-archive');
+        if (!container || !this.episodes) return;
+
+        const searchInput = document.getElementById('episode-search');
+        const topicSelect = document.getElementById('episode-topic');
+        const sortSelect = document.getElementById('episode-sort');
+
+        this.archiveState = { query: '', topic: '', sort: 'date-desc', page: 1 };
+        this.episodesPerPage = 9;
+
+        if (topicSelect && topicSelect.dataset.prerendered === undefined) {
+            topicSelect.innerHTML = this.createTopicOptions();
+        }
+
+        const update = (changes) => {
+            Object.assign(this.archiveState, changes);
+            this.renderEpisodeArchive();
+        };
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => update({ query: searchInput.value, page: 1 }));
+        }
+
+        if (topicSelect) {
+            topicSelect.addEventListener('change', () => update({ topic: topicSelect.value, page: 1 }));
+        }
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => update({ sort: sortSelect.value, page: 1 }));
+        }
+
+        const pagination = document.getElementById('episode-pagination');
+        if (pagination) {
+            pagination.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-page]');
+                if (!button || button.disabled) return;
+                update({ page: Number(button.dataset.page) });
+                container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        }
+
+        // The pre-rendered page already shows the first page, newest first
+        if (container.dataset.prerendered !== undefined) return;
+
+        this.renderEpisodeArchive();
+    }
+
+    // Every episode's topics, for the topic filter
+    createTopicOptions() {
+        const topics = [...new Set(this.episodes.flatMap(ep => ep.topics || []))]
+            .sort((a, b) => a.localeCompare(b));
+
+        return html`<option value="">All Topics</option>${topics.map(topic => html`<option value="${topic}">${topic}</option>`)}`;
+    }
+
+    filterEpisodes({ query, topic, sort }) {
+        const needle = query.trim().toLowerCase();
+
+        const matches = this.episodes.filter(episode => {
+            if (topic && !(episode.topics || []).includes(topic)) return false;
+            if (!needle) return true;
+
+            return [episode.title, episode.description, episode.guest]
+                .some(field => field && field.toLowerCase().includes(needle));
+        });
+
+        const [key, direction] = sort.split('-');
+        const sign = direction === 'asc' ? 1 : -1;
+
+        return matches.sort((a, b) => {
+            const diff = key === 'number'
+                ? parseInt(a.number, 10) - parseInt(b.number, 10)
+                : new Date(a.date) - new Date(b.date);
+            return diff * sign;
+        });
+    }
+
+    renderEpisodeArchive() {
+        const container = document.getElementById('episode-archive');
+        const countEl = document.getElementById('episode-count');
+        const pagination = document.getElementById('episode-pagination');
+        if (!container) return;
+
+        const archive = this.createEpisodeArchive(this.archiveState);
+        this.archiveState.page = archive.page;
+
+        if (countEl) countEl.textContent = archive.count;
+        container.innerHTML = archive.episodes;
+        if (pagination) pagination.innerHTML = archive.pagination;
+    }
+
+    // Shared with scripts/build-static.js, which pre-renders the default view
+    createEpisodeArchive({ query, topic, sort, page }) {
+        const matches = this.filterEpisodes({ query, topic, sort });
+        const totalPages = Math.max(1, Math.ceil(matches.length / this.episodesPerPage));
+        const currentPage = Math.min(page, totalPages);
+
+        const start = (currentPage - 1) * this.episodesPerPage;
+        const pageEpisodes = matches.slice(start, start + this.episodesPerPage);
+
+        const pageButtons = Array.from({ length: totalPages }, (_, i) => i + 1).map(n => html`
+            <button class="page-btn${n === currentPage ? ' active' : ''}" data-page="${n}"${n === currentPage ? html` aria-current="page"` : ''}>${n}</button>
+        `);
+
+        return {
+            page: currentPage,
+            count: `${matches.length} episode${matches.length === 1 ? '' : 's'}`,
+            episodes: pageEpisodes.length > 0
+                ? html`${pageEpisodes.map(episode => this.createEpisodeCard(episode))}`
+                : '<div class="loading">No episodes match your search.</div>',
+            pagination: totalPages <= 1 ? '' : html`
+                <button class="page-btn" data-page="${currentPage - 1}"${currentPage === 1 ? html` disabled` : ''} aria-label="Previous page">&lsaquo;</button>
+                ${pageButtons}
+                <button class="page-btn" data-page="${currentPage + 1}"${currentPage === totalPages ? html` disabled` : ''} aria-label="Next page">&rsaquo;</button>
+            `
+        };
+    }
+
+    loadRecentPosts() {
+        const container = document.getElementById('recent-posts');
+        if (!container || !this.posts || container.dataset.prerendered !== undefined) return;
+
+        container.innerHTML = this.createRecentPosts();
+    }
+
+    createRecentPosts() {
+        // Show latest 3 posts
+        const recentPosts = this.posts
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 3);
+
+        if (recentPosts.length === 0) {
+            return html`<div class="loading">No blog posts available yet.</div>`;
+        }
+
+        return html`${recentPosts.map(post => this.createPostCard(post))}`;
+    }
+
+    getPostUrl(post) {
+        // External articles link out; local ones are pre-rendered or served through the /blog/:slug rewrite
+        return post.url || `/blog/${post.slug}`;
+    }
+
+    createPostCard(post) {
+        const date = new Date(post.date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+
+        const postUrl = this.getPostUrl(post);
+        const linkTarget = post.url ? '_blank' : '_self';
+
+        return html`
+            <article class="post-card">
+                <div class="post-content">
+                    <div class="post-date">${date}</div>
+                    <h3 class="post-title">
+                        <a href="${postUrl}" target="${linkTarget}">${post.title}</a>
+                    </h3>
+                    <p class="post-excerpt">${post.excerpt}</p>
+                    <div class="post-category">${post.category}</div>
+                </div>
+            </article>
+        `;
+    }
+
+    setupBlogIndex() {
+        const container = document.getElementById('blog-posts');
+        if (!container || !this.posts) return;
+
+        const params = new URLSearchParams(window.location.search);
+        this.blogState = {
+            category: params.get('category') || '',
+            tag: params.get('tag') || '',
+            query: params.get('q') || '',
+            shown: Math.max(1, parseInt(params.get('shown'), 10) || 1)
+        };
+        this.postsPerPage = 6;
+
+        this.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const searchInput = document.getElementById('blog-search');
+        const categories = document.getElementById('blog-categories');
+        const tags = document.getElementById('blog-tags');
+        const loadMore = document.getElementById('blog-load-more');
+
+        const update = (changes) => {
+            Object.assign(this.blogState, changes);
+            this.updateBlogUrl();
+            this.renderBlogIndex();
+        };
+
+        if (searchInput) {
+            searchInput.value = this.blogState.query;
+            searchInput.addEventListener('input', () => update({ query: searchInput.value, shown: 1 }));
+        }
+
+        if (categories) {
+            categories.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-category]');
+                if (tab) update({ category: tab.dataset.category, shown: 1 });
+            });
+        }
+
+        if (tags) {
+            tags.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (!chip) return;
+                // Clicking the selected tag again clears it
+                const tag = chip.dataset.tag === this.blogState.tag ? '' : chip.dataset.tag;
+                update({ tag, shown: 1 });
+            });
+        }
+
+        if (loadMore) {
+            loadMore.addEventListener('click', () => update({ shown: this.blogState.shown + 1 }));
+        }
+
+        // The pre-rendered page already shows the unfiltered first page
+        const isDefault = !this.blogState.category && !this.blogState.tag && !this.blogState.query && this.blogState.shown === 1;
+        if (container.dataset.prerendered !== undefined && isDefault) return;
+
+        this.renderBlogIndex();
+    }
+
+    updateBlogUrl() {
+        const params = new URLSearchParams();
+        const { category, tag, query, shown } = this.blogState;
+
+        if (category) params.set('category', category);
+        if (tag) params.set('tag', tag);
+        if (query.trim()) params.set('q', query.trim());
+        if (shown > 1) params.set('shown', shown);
+
+        const search = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+    }
+
+    filterPosts({ category, tag, query }) {
+        const needle = query.trim().toLowerCase();
+
+        return this.posts.filter(post => {
+            if (category && post.category !== category) return false;
+            if (tag && !(post.tags || []).includes(tag)) return false;
+            if (!needle) return true;
+
+            return [post.title, post.excerpt, post.content, post.author, ...(post.tags || [])]
+                .some(field => field && field.toLowerCase().includes(needle));
+        });
+    }
+
+    renderBlogIndex() {
+        const container = document.getElementById('blog-posts');
+        const featured = document.getElementById('blog-featured');
+        const categories = document.getElementById('blog-categories');
+        const tags = document.getElementById('blog-tags');
+        const countEl = document.getElementById('blog-count');
+        const loadMore = document.getElementById('blog-load-more');
+        const blog = this.createBlogIndex(this.blogState);
+
+        if (featured) featured.innerHTML = blog.featured;
+        if (categories) categories.innerHTML = blog.categories;
+        if (tags) tags.innerHTML = blog.tags;
+        if (countEl) countEl.textContent = blog.count;
+        container.innerHTML = blog.posts;
+        if (loadMore) loadMore.hidden = !blog.hasMore;
+    }
+
+    createBlogIndex({ category, tag, query, shown }) {
+        const isFiltered = Boolean(category || tag || query.trim());
+
+        // Featured hero only on the unfiltered view
+        const featuredPost = this.posts.find(post => post.featured);
+
+        const names = [...new Set(this.posts.map(post => post.category).filter(Boolean))];
+        const categories = ['', ...names].map(name => html`
+            <button class="filter-btn${name === category ? ' active' : ''}" role="tab"
+                aria-selected="${name === category}" data-category="${name}">${name || 'All'}</button>
+        `);
+
+        const tagNames = [...new Set(this.posts.flatMap(post => post.tags || []))]
+            .sort((a, b) => a.localeCompare(b));
+        const tags = tagNames.map(name => html`
+            <button class="topic-chip${name === tag ? ' active' : ''}" data-tag="${name}"
+                aria-pressed="${name === tag}">${name}</button>
+        `);
+
+        let matches = this.filterPosts({ category, tag, query });
+        if (!isFiltered && featuredPost) {
+            matches = matches.filter(post => post !== featuredPost);
+        }
+
+        const visible = matches.slice(0, shown * this.postsPerPage);
+
+        return {
+            featured: featuredPost && !isFiltered ? this.createFeaturedPost(featuredPost) : '',
+            categories: html`${categories}`,
+            tags: html`${tags}`,
+            count: isFiltered ? `${matches.length} article${matches.length === 1 ? '' : 's'}` : '',
+            posts: visible.length > 0
+                ? html`${visible.map(post => this.createPostCard(post))}`
+                : html`<div class="loading">No articles match your filters.</div>`,
+            hasMore: visible.length < matches.length
+        };
+    }
+
+    createFeaturedPost(post) {
+        const postUrl = this.getPostUrl(post);
+        const linkTarget = post.url ? '_blank' : '_self';
+
+        return html`
+            <article class="featured-post">
+                <div class="featured-label">Featured</div>
+                <div class="post-category">${post.category}</div>
+                <h2 class="featured-post-title">
+                    <a href="${postUrl}" target="${linkTarget}">${post.title}</a>
+                </h2>
+                <p class="featured-post-excerpt">${post.excerpt}</p>
+                <div class="post-byline">
+                    <span>By ${post.author}</span>
+                    <span>${this.formatDate(post.date)}</span>
+                    ${post.read_time ? html`<span>${post.read_time}</span>` : ''}
+                </div>
+                <a href="${postUrl}" target="${linkTarget}" class="btn btn-primary">Read Article</a>
+            </article>
+        `;
+    }
+
+    async setupPostPage() {
+        const container = document.getElementById('post-detail');
+        if (!container || !this.posts) return;
+
+        const post = this.findPostFromLocation();
+
+        if (!post) {
+            container.innerHTML = html`
+                <div class="post-not-found">
+                    <h1>Article not found</h1>
+                    <p>This article doesn't exist or hasn't been published yet.</p>
+                    <a href="/blog.html" class="btn btn-primary">Browse All Articles</a>
+                </div>
+            `;
+            return;
+        }
+
+        // Pre-rendered articles only need the hero image fallback
+        const isPrerendered = container.dataset.prerendered !== undefined;
+        if (!isPrerendered) {
+            document.title = `${post.title} - Headquarters Ventures`;
+            container.innerHTML = html`${this.createPostHeader(post)}<div class="post-body" id="post-body"><div class="loading">Loading article...</div></div>`;
+        }
+
+        const heroImage = container.querySelector('.post-hero-image');
+        if (heroImage) {
+            heroImage.addEventListener('error', () => heroImage.remove());
+            // The image may have failed before this script ran
+            if (heroImage.complete && heroImage.naturalWidth === 0) heroImage.remove();
+        }
+
+        if (isPrerendered) return;
+
+        const body = document.getElementById('post-body');
+
+        if (post.url) {
+            body.innerHTML = html`
+                <p>${post.excerpt}</p>
+                <a href="${post.url}" target="_blank" rel="noopener" class="btn btn-primary">Continue Reading</a>
+            `;
+            return;
+        }
+
+        let source;
+        try {
+            source = await this.loadPostMarkdown(post);
+        } catch (error) {
+            // Fall back to the inline content so the article is never blank
+            console.error('Error loading post markdown:', error);
+            source = post.content || post.excerpt;
+        }
+
+        body.innerHTML = Markdown.render(source);
+    }
+
+    findPostFromLocation() {
+        // Supports both /post.html?id=post-005 and the /blog/:slug rewrite
+        const id = new URLSearchParams(window.location.search).get('id');
+        if (id) {
+            return this.posts.find(p => p.id === id || p.slug === id);
+        }
+
+        const match = window.location.pathname.match(/\/blog\/([^/]+?)(?:\.html)?\/?$/);
+        if (match) {
+            return this.posts.find(p => p.slug === decodeURIComponent(match[1]));
+        }
+
+        return undefined;
+    }
+
+    async loadPostMarkdown(post) {
+        const response = await fetch(`/posts/${post.slug}.md`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    createPostHeader(post) {
+        const tags = (post.tags || []).map(tag => html`<span class="topic-chip">${tag}</span>`);
+
+        return html`
+            <a href="/blog.html" class="episode-back">&larr; All Articles</a>
+            <header class="post-header">
+                <div class="post-category">${post.category}</div>
+                <h1 class="post-detail-title">${post.title}</h1>
+                <div class="post-byline">
+                    <span>By ${post.author}</span>
+                    <span>${this.formatDate(post.date)}</span>
+                    ${post.read_time ? html`<span>${post.read_time}</span>` : ''}
+                </div>
+                ${tags.length > 0 ? html`<div class="topic-chips">${tags}</div>` : ''}
+            </header>
+            ${post.image ? html`<img src="${post.image}" alt="" class="post-hero-image">` : ''}
+        `;
+    }
+
+    setupNewsletterSignup() {
+        const containers = document.querySelectorAll('[data-newsletter-signup]');
+        containers.forEach(container => {
+            container.innerHTML = this.createNewsletterForm(container.dataset.newsletterSignup || 'website');
+            const form = container.querySelector('form');
+            form.dataset.renderedAt = Date.now();
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitNewsletterForm(form);
+            });
+
+            // Clear a stale error as soon as the visitor starts fixing it
+            form.elements.email.addEventListener('input', () => {
+                if (form.classList.contains('is-error')) this.setNewsletterState(form, 'idle');
+            });
+        });
+    }
+
+    createNewsletterForm(source) {
+        const id = `newsletter-${source}`;
+        return html`
+            <form class="newsletter-form" data-source="${source}" novalidate>
+                <div class="newsletter-fields">
+                    <input type="email" name="email" id="${id}-email" class="email-input" placeholder="you@example.com"
+                           autocomplete="email" inputmode="email" aria-label="Email address"
+                           aria-describedby="${id}-message" required>
+                    <button type="submit" class="subscribe-btn">Subscribe</button>
+                </div>
+                <div class="newsletter-honeypot" aria-hidden="true">
+                    <label for="${id}-website">Leave this field empty</label>
+                    <input type="text" name="website" id="${id}-website" tabindex="-1" autocomplete="off">
+                </div>
+                <p class="newsletter-message" id="${id}-message" role="status" aria-live="polite"></p>
+            </form>
+        `;
+    }
+
+    // Practical RFC 5321/5322 subset: dot-atom local part, hostname labels and an alphabetic TLD.
+    // api/subscribe.js runs the same checks server-side; keep the two copies in sync.
+    validateEmail(email) {
+        if (!email) return 'Please enter your email address.';
+        if (email.length > 254) return 'That email address is too long.';
+
+        const parts = email.split('@');
+        if (parts.length !== 2) return 'Please enter a valid email address.';
+
+        const [local, domain] = parts;
+        const localValid = local.length > 0 && local.length <= 64
+            && /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local);
+        const labels = domain.split('.');
+        const domainValid = labels.length > 1
+            && labels.every(label => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label))
+            && /^[A-Za-z]{2,}$/.test(labels[labels.length - 1]);
+
+        return localValid && domainValid ? null : 'Please enter a valid email address.';
+    }
+
+    // Client-side throttle so a stuck key or impatient double-click doesn't hammer the endpoint;
+    // the endpoint enforces its own per-IP limit.
+    takeNewsletterAttempt(now = Date.now()) {
+        const limit = 3;
+        const windowMs = 10 * 60 * 1000;
+        let recent = [];
+
+        try {
+            recent = JSON.parse(localStorage.getItem('hqv-newsletter-attempts') || '[]')
+                .filter(time => now - time < windowMs);
+        } catch (error) {
+            // Storage unavailable; fall back to the server-side limit
+        }
+
+        if (recent.length >= limit) return false;
+
+        try {
+            localStorage.setItem('hqv-newsletter-attempts', JSON.stringify([...recent, now]));
+        } catch (error) {
+            // Storage unavailable; fall back to the server-side limit
+        }
+        return true;
+    }
+
+    async submitNewsletterForm(form) {
+        const email = form.elements.email.value.trim();
+        const source = form.dataset.source;
+
+        const error = this.validateEmail(email);
+        if (error) {
+            this.setNewsletterState(form, 'error', error);
+            form.elements.email.focus();
+            return;
+        }
+
+        // Filled honeypot or a sub-second submit: a bot, so pretend it worked
+        if (form.elements.website.value || Date.now() - Number(form.dataset.renderedAt) < 1000) {
+            this.setNewsletterState(form, 'success', 'Thanks! Check your inbox to confirm your subscription.');
+            return;
+        }
+
+        if (!this.takeNewsletterAttempt()) {
+            this.setNewsletterState(form, 'error', 'Too many attempts. Please wait a few minutes and try again.');
+            return;
+        }
+
+        this.setNewsletterState(form, 'loading', 'Subscribing...');
+
+        try {
+            const response = await fetch(this.config?.newsletter?.endpoint || '/api/subscribe', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, source, website: form.elements.website.value })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            // Validation and rate-limit messages are written for visitors, so show them as-is
+            if (response.status === 400 || response.status === 429) {
+                this.setNewsletterState(form, 'error', result.error || 'Please check your email address and try again.');
+                Analytics.trackEvent('Newsletter', 'Subscribe Rejected', source);
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            form.elements.email.value = '';
+            this.setNewsletterState(form, 'success', result.status === 'already_subscribed'
+                ? 'You\'re already subscribed. Thanks for reading!'
+                : 'Thanks! Check your inbox to confirm your subscription.');
+            Analytics.trackEvent('Newsletter', 'Subscribe', source);
+        } catch (error) {
+            console.error('Error subscribing to newsletter:', error);
+            const subscribeUrl = this.config?.newsletter?.subscribe_url;
+            this.setNewsletterState(form, 'error', subscribeUrl
+                ? html`Something went wrong. You can also <a href="${subscribeUrl}" target="_blank" rel="noopener">subscribe on our newsletter site</a>.`
+                : 'Something went wrong. Please try again later.');
+            Analytics.trackEvent('Newsletter', 'Subscribe Error', source);
+        }
+    }
+
+    // state: idle | loading | success | error. Plain-string messages are shown as text; pass html`` for markup.
+    setNewsletterState(form, state, message = '') {
+        const messageEl = form.querySelector('.newsletter-message');
+        const button = form.querySelector('.subscribe-btn');
+
+        ['is-loading', 'is-success', 'is-error'].forEach(name => form.classList.remove(name));
+        if (state !== 'idle') form.classList.add(`is-${state}`);
+
+        form.setAttribute('aria-busy', String(state === 'loading'));
+        form.elements.email.setAttribute('aria-invalid', String(state === 'error'));
+        button.disabled = state === 'loading';
+        button.textContent = state === 'loading' ? 'Subscribing...' : 'Subscribe';
+
+        if (message instanceof SafeHtml) {
+            messageEl.innerHTML = message;
+        } else {
+            messageEl.textContent = message;
+        }
+    }
+
+    // Utility methods
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    formatTime(seconds) {
+        if (!Number.isFinite(seconds)) return '0:00';
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    formatMoney(amount) {
+        const value = Number(amount) || 0;
+        const trim = (n) => n.toFixed(1).replace(/\.0$/, '');
+
+        if (Math.abs(value) >= 1e9) return `$${trim(value / 1e9)}B`;
+        if (Math.abs(value) >= 1e6) return `$${trim(value / 1e6)}M`;
+        if (Math.abs(value) >= 1e3) return `$${trim(value / 1e3)}K`;
+        return `$${value}`;
+    }
+
+    formatMultiple(multiple) {
+        return `${(Number(multiple) || 0).toFixed(1).replace(/\.0$/, '')}x`;
+    }
+
+    truncateText(text, maxLength = 150) {
+        if (text.length <= maxLength) return text;
+        return text.substring(0, maxLength).trim() + '...';
+    }
+
+    async loadPortfolio() {
+        try {
+            const response = await fetch('/data/portfolio.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.portfolio = data.companies;
+        } catch (error) {
+            console.error('Error loading portfolio:', error);
+            this.displayError('Could not load portfolio.');
+            this.portfolio = [];
+        }
+    }
+
+    async setupPortfolioPage() {
+        const grid = document.getElementById('portfolio-grid');
+        if (!grid) return;
+
+        await this.loadPortfolio();
+
+        const stats = document.getElementById('portfolio-stats');
+        if (stats && stats.dataset.prerendered === undefined) {
+            stats.innerHTML = this.createPortfolioStats();
+        }
+        if (grid.dataset.prerendered === undefined) {
+            grid.innerHTML = this.createPortfolioGrid();
+        }
+
+        const filters = document.getElementById('portfolio-filters');
+        if (!filters) return;
+
+        const labels = { all: 'All Investments', active: 'Active', exited: 'Exited', failed: 'Learning Experiences' };
+        const statuses = ['all', ...new Set(this.portfolio.map(company => company.status))];
+
+        filters.innerHTML = html`${statuses.map(status => html`
+            <button class="filter-btn" role="tab" data-filter="${status}">${labels[status] || status}</button>
+        `)}`;
+
+        filters.addEventListener('click', (e) => {
+            const button = e.target.closest('.filter-btn');
+            if (button) this.applyPortfolioFilter(button.dataset.filter);
+        });
+
+        const requested = new URLSearchParams(window.location.search).get('filter');
+        this.applyPortfolioFilter(statuses.includes(requested) ? requested : 'all', false);
+    }
+
+    applyPortfolioFilter(filter, animate = true) {
+        const items = document.querySelectorAll('.portfolio-item');
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        document.querySelectorAll('#portfolio-filters .filter-btn').forEach(button => {
+            const isActive = button.dataset.filter === filter;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', isActive);
+        });
+
+        items.forEach(item => {
+            const show = filter === 'all' || item.dataset.category === filter;
+            clearTimeout(item.filterTimeout);
+
+            if (!animate || reduceMotion) {
+                item.classList.toggle('hidden', !show);
+                item.classList.remove('filtering-out');
+                return;
+            }
+
+            if (show) {
+                item.classList.remove('hidden');
+                // Force reflow so the fade-in transition runs from the hidden state
+                item.offsetHeight;
+                item.classList.remove('filtering-out');
+            } else {
+                item.classList.add('filtering-out');
+                item.filterTimeout = setTimeout(() => item.classList.add('hidden'), 250);
+            }
+        });
+
+        const url = new URL(window.location.href);
+        if (filter === 'all') {
+            url.searchParams.delete('filter');
+        } else {
+            url.searchParams.set('filter', filter);
+        }
+        history.replaceState(null, '', url.pathname + url.search + url.hash);
+    }
+
+    createPortfolioGrid() {
+        return this.portfolio.length > 0
+            ? html`${this.portfolio.map(company => this.createPortfolioItem(company))}`
+            : html`<div class="loading">No investments to show yet.</div>`;
+    }
+
+    createPortfolioStats() {
+        const totalInvested = this.portfolio.reduce((sum, company) => sum + (company.invested || 0), 0);
+        const exits = this.portfolio.filter(company => company.status === 'exited').length;
+
+        // Realized return: everything we got back from exited and failed deals vs. what we put in
+        const realized = this.portfolio.filter(company => company.status !== 'active');
+        const realizedInvested = realized.reduce((sum, company) => sum + (company.invested || 0), 0);
+        const realizedReturned = realized.reduce((sum, company) => sum + (company.returned || 0), 0);
+        const realizedMultiple = realizedInvested > 0 ? realizedReturned / realizedInvested : 0;
+
+        const stats = [
+            { value: this.formatMoney(totalInvested), label: 'Total Invested' },
+            { value: this.portfolio.length, label: 'Companies' },
+            { value: exits, label: 'Exits' },
+            { value: this.formatMultiple(realizedMultiple), label: 'Realized Return' }
+        ];
+
+        return html`${stats.map(stat => html`
+            <div class="stat-item">
+                <div class="stat-number">${stat.value}</div>
+                <div class="stat-label">${stat.label}</div>
+            </div>
+        `)}`;
+    }
+
+    createPortfolioItem(company) {
+        const invested = { label: 'Invested', value: this.formatMoney(company.invested) };
+        let details;
+
+        if (company.status === 'exited') {
+            details = [
+                invested,
+                { label: 'Exit Value', value: this.formatMoney(company.returned) },
+                { label: 'Multiple', value: this.formatMultiple(company.returned / company.invested), className: 'status-success' }
+            ];
+        } else if (company.status === 'failed') {
+            details = [
+                invested,
+                company.returned > 0
+                    ? { label: 'Recovery', value: this.formatMoney(company.returned) }
+                    : { label: 'Loss', value: `-${this.formatMoney(company.invested)}` },
+                { label: 'Lesson', value: company.outcome || 'Learned', className: 'status-failed' }
+            ];
+        } else {
+            details = [
+                invested,
+                { label: 'Valuation', value: this.formatMoney(company.valuation) },
+                { label: 'Status', value: 'Active', className: 'status-active' }
+            ];
+        }
+
+        const logoClass = { active: '', exited: ' success', failed: ' failed' }[company.status] || '';
+
+        return html`
+            <div class="portfolio-item ${company.status}" data-category="${company.status}">
+                <div class="portfolio-logo">
+                    <div class="logo-placeholder${logoClass}">
+                        ${this.createPortfolioLogo(company)}
+                    </div>
+                </div>
+                <div class="portfolio-info">
+                    <h3 class="company-name">${company.name}</h3>
+                    <p class="company-category">${company.sector} • ${company.stage}</p>
+                    <p class="company-description">${company.description}</p>
+                    <div class="investment-details">
+                        ${details.map(detail => html`
+                            <div class="detail-item">
+                                <span class="detail-label">${detail.label}</span>
+                                <span class="detail-value${detail.className ? ` ${detail.className}` : ''}">${detail.value}</span>
+                            </div>
+                        `)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    createPortfolioLogo(company) {
+        const logo = company.logo || {};
+        if (logo.image) {
+            return html`<img src="${logo.image}" alt="${company.name}" width="80" height="80">`;
+        }
+
+        const icons = {
+            check: html`<path d="M25 40L35 50L55 30" stroke="white" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`,
+            triangle: html`<path d="M20 60L40 20L60 60H20Z" fill="#000" opacity="0.3"/>`,
+            star: html`<path d="M40 15L45 30H60L48 40L53 55L40 45L27 55L32 40L20 30H35L40 15Z" fill="white"/>`,
+            badge: html`<circle cx="40" cy="40" r="20" fill="white" opacity="0.9"/><path d="M30 40L36 46L50 32" stroke="#4ade80" stroke-width="3" stroke-linecap="round"/>`,
+            cross: html`<path d="M25 25L55 55M55 25L25 55" stroke="white" stroke-width="4" stroke-linecap="round"/>`,
+            alert: html`<path d="M40 20L48 40H32L40 20Z" fill="white"/><circle cx="40" cy="55" r="3" fill="white"/>`
+        };
+
+        return html`
+            <svg width="80" height="80" viewBox="0 0 80 80" fill="none">
+                <rect width="80" height="80" rx="16" fill="${logo.color || 'var(--accent-color)'}"/>
+                ${icons[logo.icon] || ''}
+                ${logo.initials ? html`<text x="40" y="70" text-anchor="middle" fill="#000" font-size="10" font-weight="bold">${logo.initials}</text>` : ''}
+            </svg>
+        `;
+    }
+
+    loadHoldings() {
+        // Shared by the portfolio tracker and the ticker's holdings watchlist
+        if (!this.holdingsRequest) {
+            this.holdingsRequest = this.fetchHoldings();
+        }
+        return this.holdingsRequest;
+    }
+
+    async fetchHoldings() {
+        try {
+            const response = await fetch('/data/holdings.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.portfolioHoldings = data.holdings;
+        } catch (error) {
+            console.error('Error loading holdings:', error);
+            this.portfolioHoldings = [];
+        }
+    }
+
+    async setupPortfolioTracker() {
+        if (!document.querySelector('.portfolio-tracker')) return;
+
+        await this.loadHoldings();
+        if (this.portfolioHoldings.length === 0) return;
+
+        this.portfolioChartData = [];
+        await this.refreshPortfolio();
+
+        // Refresh on the same cadence as the stock ticker so both show the same quotes
+        setInterval(() => this.refreshPortfolio(), this.getTickerRefreshInterval());
+    }
+
+    async refreshPortfolio() {
+        const quotes = await this.fetchStockData(this.portfolioHoldings.map(holding => holding.symbol));
+        const quoteMap = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+        this.portfolioHoldings.forEach(holding => {
+            const quote = quoteMap.get(holding.symbol);
+            if (!quote) return;
+            holding.price = quote.price;
+            holding.change = quote.change;
+        });
+
+        const totals = this.calculatePortfolioTotals();
+
+        this.updatePortfolioDisplay(totals.dayChange, totals.dayChangePercent, totals.totalValue);
+        this.updatePortfolioPnl(totals.unrealizedPnl, totals.unrealizedPnlPercent);
+        this.updatePortfolioHoldings(totals.totalValue);
+        this.updatePortfolioAllocation(totals.totalValue);
+
+        // Chart starts at the previous close and adds a point per refresh
+        if (this.portfolioChartData.length === 0) {
+            this.portfolioChartData.push(totals.previousValue);
+        }
+        this.portfolioChartData.push(totals.totalValue);
+        if (this.portfolioChartData.length > 20) this.portfolioChartData.shift(); // Keep only last 20 points
+        this.drawPortfolioChart(this.portfolioChartData);
+    }
+
+    calculatePortfolioTotals() {
+        const priced = this.portfolioHoldings.filter(holding => typeof holding.price === 'number');
+
+        const totalValue = priced.reduce((sum, holding) => sum + holding.shares * holding.price, 0);
+        const dayChange = priced.reduce((sum, holding) => sum + holding.shares * (holding.change || 0), 0);
+        const previousValue = totalValue - dayChange;
+        const costBasis = priced.reduce((sum, holding) => sum + holding.shares * holding.cost_basis, 0);
+        const unrealizedPnl = totalValue - costBasis;
+
+        return {
+            totalValue,
+            previousValue,
+            dayChange,
+            dayChangePercent: previousValue > 0 ? (dayChange / previousValue) * 100 : 0,
+            costBasis,
+            unrealizedPnl,
+            unrealizedPnlPercent: costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : 0
+        };
+    }
+
+    updatePortfolioHoldings(totalValue) {
+        const holdingsContainer = document.getElementById('portfolio-holdings');
+        if (!holdingsContainer) return;
+
+        const holdings = this.portfolioHoldings
+            .filter(holding => typeof holding.price === 'number')
+            .map(holding => {
+                const value = holding.shares * holding.price;
+                const cost = holding.shares * holding.cost_basis;
+                return {
+                    ...holding,
+                    value,
+                    percentage: totalValue > 0 ? (value / totalValue) * 100 : 0,
+                    pnl: value - cost,
+                    pnlPercent: cost > 0 ? ((value - cost) / cost) * 100 : 0
+                };
+            })
+            .sort((a, b) => b.percentage - a.percentage); // Sort by percentage descending
+
+        const holdingsHtml = holdings.map(holding => {
+            const sign = holding.pnl >= 0 ? '+' : '-';
+            const pnlClass = holding.pnl >= 0 ? 'positive' : 'negative';
+
+            return html`
+                <div class="key-holding-item">
+                    <div class="holding-info">
+                        <div class="holding-symbol">${holding.symbol}</div>
+                        <div class="holding-name">${holding.name}</div>
+                        ${holding.purchase_date ? html`<div class="holding-purchased">Since ${this.formatDate(holding.purchase_date)}</div>` : ''}
+                    </div>
+                    <div class="holding-details">
+                        <div class="holding-value">$${holding.value.toFixed(2)}</div>
+                        <div class="holding-percentage">${holding.percentage.toFixed(1)}%</div>
+                        <div class="holding-pnl ${pnlClass}">${sign}$${Math.abs(holding.pnl).toFixed(2)} (${sign}${Math.abs(holding.pnlPercent).toFixed(1)}%)</div>
+                    </div>
+                </div>
+            `;
+        });
+
+        holdingsContainer.innerHTML = html`${holdingsHtml}`;
+    }
+
+    updatePortfolioPnl(pnl, pnlPercent) {
+        const pnlEl = document.getElementById('portfolio-pnl');
+        if (!pnlEl) return;
+
+        const isPositive = pnl >= 0;
+        const sign = isPositive ? '+' : '-';
+        pnlEl.textContent = `${sign}$${Math.abs(pnl).toFixed(2)} (${sign}${Math.abs(pnlPercent).toFixed(2)}%)`;
+        pnlEl.className = `pnl-value ${isPositive ? 'positive' : 'negative'}`;
+    }
+
+    updatePortfolioAllocation(totalValue) {
+        const container = document.getElementById('portfolio-allocation');
+        if (!container || totalValue <= 0) return;
+
+        const segments = this.portfolioHoldings
+            .filter(holding => typeof holding.price === 'number')
+            .map(holding => ({
+                symbol: holding.symbol,
+                percentage: (holding.shares * holding.price / totalValue) * 100
+            }))
+            .sort((a, b) => b.percentage - a.percentage);
+
+        container.innerHTML = html`${segments.map((segment, index) => html`
+            <span class="allocation-segment" style="width: ${segment.percentage.toFixed(2)}%; --segment-index: ${index}"
+                title="${segment.symbol}: ${segment.percentage.toFixed(1)}%"></span>
+        `)}`;
+    }
+
+    updatePortfolioDisplay(change, changePercent, totalValue) {
+        const statusIndicator = document.getElementById('status-indicator');
+        const statusValue = document.getElementById('status-value');
+        const aaplValue = document.getElementById('aapl-value');
+        const totalValueEl = document.getElementById('total-value');
+
+        const isPositive = change >= 0;
+        
+        // Update status indicator
+        if (statusIndicator) {
+            statusIndicator.textContent = isPositive ? '▲' : '▼';
+            statusIndicator.className = `status-indicator ${isPositive ? 'positive' : 'negative'}`;
+        }
+
+        // Update status value
+        if (statusValue) {
+            const sign = isPositive ? '+' : '-';
+            statusValue.textContent = `${sign}$${Math.abs(change).toFixed(2)} (${sign}${Math.abs(changePercent).toFixed(2)}%)`;
+            statusValue.className = `status-value ${isPositive ? 'positive' : 'negative'}`;
+        }
+
+        // Update holding value
+        if (aaplValue) {
+            aaplValue.textContent = `$${totalValue.toFixed(2)}`;
+        }
+
+        // Update total value
+        if (totalValueEl) {
+            totalValueEl.textContent = `$${totalValue.toFixed(2)}`;
+        }
+    }
+
+    drawPortfolioChart(data) {
+        this.drawSparkline(document.getElementById('portfolio-canvas'), data);
+    }
+
+    drawSparkline(canvas, data) {
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+
+        if (data.length < 2) return;
+
+        // Find min/max for scaling
+        const minPrice = Math.min(...data);
+        const maxPrice = Math.max(...data);
+        const range = maxPrice - minPrice || 1;
+
+        // Set up drawing
+        ctx.strokeStyle = data[data.length - 1] >= data[0] ? '#00ff88' : '#ff4757';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Draw line
+        ctx.beginPath();
+        data.forEach((price, index) => {
+            const x = (index / (data.length - 1)) * width;
+            const y = height - ((price - minPrice) / range) * height;
+            
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Fill area under curve
+        ctx.globalAlpha = 0.1;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineTo(width, height);
+        ctx.lineTo(0, height);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    async setupStockTicker() {
+        const stockTicker = document.getElementById('stock-ticker');
+        if (!stockTicker) return;
+
+        const tickerContent = stockTicker.querySelector('.ticker-content');
+        this.quoteHistory = new Map();
+        await this.loadSponsors();
+        this.tickerGroups = await this.getTickerGroups();
+        if (this.tickerGroups.length === 0) return;
+
+        let savedGroup = null;
+        try {
+            savedGroup = localStorage.getItem('hqv-ticker-group');
+        } catch (error) {
+            savedGroup = null;
+        }
+        const defaultGroup = this.config?.ticker?.default_group;
+        const initialGroup = this.tickerGroups.find(group => group.id === savedGroup)
+            || this.tickerGroups.find(group => group.id === defaultGroup)
+            || this.tickerGroups[0];
+        this.tickerSymbols = initialGroup.symbols;
+
+        this.renderTickerGroups(initialGroup.id);
+        this.setupQuoteCard(stockTicker);
+
+        // Start with immediate mock data so ticker begins scrolling right away
+        this.generateMockStockData(this.tickerSymbols, tickerContent);
+
+        // Then fetch real data and replace it (async, non-blocking)
+        this.updateStockData(this.tickerSymbols, tickerContent);
+
+        // Update every 2 minutes by default (to respect API rate limits)
+        setInterval(() => {
+            this.updateStockData(this.tickerSymbols, tickerContent);
+        }, this.getTickerRefreshInterval());
+    }
+
+    getTickerRefreshInterval() {
+        return (this.config?.ticker?.refresh_seconds || 120) * 1000;
+    }
+
+    async getTickerGroups() {
+        const groups = this.config?.ticker?.groups || [
+            { id: 'indices', label: 'Indices', symbols: ['SPY', 'QQQ'] }
+        ];
+
+        const resolved = await Promise.all(groups.map(async group => {
+            let symbols = group.symbols || [];
+
+            // Groups can point at data the site already has instead of listing symbols
+            if (group.source === 'holdings') {
+                await this.loadHoldings();
+                symbols = this.portfolioHoldings.map(holding => holding.symbol);
+            } else if (group.source === 'episodes') {
+                symbols = this.getEpisodeTickers();
+            }
+
+            return { id: group.id, label: group.label || group.id, symbols: [...new Set(symbols)] };
+        }));
+
+        // A group with nothing to show isn't worth a tab
+        return resolved.filter(group => group.symbols.length > 0);
+    }
+
+    getEpisodeTickers() {
+        const symbols = [];
+        (this.episodes || []).forEach(episode => {
+            (episode.topics || []).forEach(topic => {
+                // Topics mention tickers as "Company (SYM)" or "$SYM"
+                const pattern = /\(([A-Z][A-Z.]{0,5})\)|\$([A-Z][A-Z.]{0,5})\b/g;
+                let match;
+                while ((match = pattern.exec(topic)) !== null) {
+                    symbols.push(match[1] || match[2]);
+                }
+            });
+        });
+        return [...new Set(symbols)];
+    }
+
+    getEpisodesMentioning(symbol) {
+        const escaped = symbol.replace(/\./g, '\\.');
+        const pattern = new RegExp(`(^|[^A-Za-z])\\$?${escaped}([^A-Za-z]|$)`);
+        return (this.episodes || [])
+            .filter(episode => (episode.topics || []).some(topic => pattern.test(topic)))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    getTickerName(symbol) {
+        const holding = (this.portfolioHoldings || []).find(item => item.symbol === symbol);
+        if (holding) return holding.name;
+
+        // Fall back to the company name used in an episode topic, e.g. "Coinbase (COIN)"
+        for (const episode of this.episodes || []) {
+            const topic = (episode.topics || []).find(item => item.endsWith(`(${symbol})`));
+            if (topic) return topic.slice(0, -(symbol.length + 2)).trim();
+        }
+        return '';
+    }
+
+    renderTickerGroups(activeId) {
+        const container = document.getElementById('ticker-groups');
+        if (!container) return;
+
+        // One group means nothing to switch between
+        if (this.tickerGroups.length < 2) {
+            container.hidden = true;
+            return;
+        }
+
+        container.innerHTML = html`${this.tickerGroups.map(group => html`
+            <button type="button" class="ticker-group-btn${group.id === activeId ? ' active' : ''}" role="tab"
+                aria-selected="${group.id === activeId}" data-group="${group.id}">${group.label}</button>
+        `)}`;
+
+        if (container.dataset.bound) return;
+        container.dataset.bound = 'true';
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('.ticker-group-btn');
+            if (button) this.selectTickerGroup(button.dataset.group);
+        });
+    }
+
+    selectTickerGroup(id) {
+        const group = this.tickerGroups.find(item => item.id === id);
+        if (!group) return;
+
+        this.tickerSymbols = group.symbols;
+        try {
+            localStorage.setItem('hqv-ticker-group', id);
+        } catch (error) {
+            // Remembering the watchlist is best-effort
+        }
+        this.renderTickerGroups(id);
+        this.closeQuoteCard();
+
+        const tickerContent = document.querySelector('#stock-ticker .ticker-content');
+        this.updateStockData(this.tickerSymbols, tickerContent);
+    }
+
+    async updateStockData(stocks, tickerContent) {
+        try {
+            const stockData = await this.fetchStockData(stocks);
+            // A slow response for a group the user has since switched away from is dropped
+            if (stocks !== this.tickerSymbols) return;
+            this.renderTicker(stockData, tickerContent);
+        } catch (error) {
+            console.error('Error updating stock data:', error);
+            // Fallback to mock data if the provider layer itself fails
+            this.generateMockStockData(stocks, tickerContent);
+        }
+    }
+
+    renderTicker(quotes, tickerContent) {
+        this.tickerQuotes = new Map(quotes.map(quote => [quote.symbol, quote]));
+        quotes.forEach(quote => this.recordQuote(quote));
+
+        const tickerItems = this.insertSponsorAds(quotes.map(stock => {
+            const isPositive = stock.change >= 0;
+            const sign = isPositive ? '+' : '';
+            let cssClass = isPositive ? 'ticker-item' : 'ticker-item negative';
+            if (stock.simulated) cssClass += ' simulated';
+
+            return html`<span class="${cssClass}" role="button" tabindex="0" data-symbol="${stock.symbol}">${stock.symbol} $${stock.price.toFixed(2)} ${sign}${stock.change.toFixed(2)} (${sign}${stock.changePercent.toFixed(2)}%)</span>`;
+        }));
+
+        this.updateTickerStatus(quotes);
+
+        if (tickerContent) {
+            const newContent = html`${tickerItems}`.toString();
+            // Only update if content actually changed to avoid animation restart
+            if (tickerContent.innerHTML !== newContent) {
+                // Temporarily pause animation
+                tickerContent.style.animationPlayState = 'paused';
+
+                // Update content
+                tickerContent.innerHTML = newContent;
+
+                // Force reflow
+                tickerContent.offsetHeight;
+
+                // Resume animation (cleared rather than forced so hover/focus can still pause it)
+                tickerContent.style.animationPlayState = '';
+
+                this.observeSponsorAds(tickerContent);
+            }
+        }
+
+        if (this.quoteCardSymbol && this.tickerQuotes.has(this.quoteCardSymbol)) {
+            this.renderQuoteCard(this.quoteCardSymbol);
+        }
+    }
+
+    recordQuote(quote) {
+        // Price history for sparklines starts at the previous close and grows one point per refresh
+        let history = this.quoteHistory.get(quote.symbol);
+        if (!history || history.source !== quote.source) {
+            history = { source: quote.source, prices: [quote.previousClose || quote.price - quote.change] };
+            this.quoteHistory.set(quote.symbol, history);
+        }
+
+        if (history.prices[history.prices.length - 1] !== quote.price || history.prices.length === 1) {
+            history.prices.push(quote.price);
+        }
+        if (history.prices.length > 30) history.prices.shift();
+    }
+    updateTickerStatus(quotes) {
+        const stockTicker = document.getElementById('stock-ticker');
+        if (!stockTicker) return;
+
+        let status = stockTicker.querySelector('.ticker-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'ticker-status';
+            stockTicker.appendChild(status);
+        }
+
+        // Never let simulated or stale prices pass as live ones
+        if (quotes.some(quote => quote.simulated)) {
+            status.textContent = 'Simulated';
+            status.title = 'Live quotes are unavailable - some prices are simulated';
+            status.hidden = false;
+        } else if (quotes.some(quote => quote.delayed)) {
+            status.textContent = 'Delayed';
+            status.title = 'Prices are from a delayed snapshot';
+            status.hidden = false;
+        } else {
+            status.hidden = true;
+        }
+    }
+
+    setupQuoteCard(stockTicker) {
+        const tickerContent = stockTicker.querySelector('.ticker-content');
+        if (!tickerContent) return;
+
+        const card = document.createElement('div');
+        card.className = 'quote-card';
+        card.id = 'quote-card';
+        card.setAttribute('role', 'dialog');
+        card.setAttribute('aria-labelledby', 'quote-card-symbol');
+        card.hidden = true;
+        document.body.appendChild(card);
+        this.quoteCard = card;
+
+        tickerContent.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-symbol]');
+            if (item) this.openQuoteCard(item.dataset.symbol, item);
+        });
+
+        tickerContent.addEventListener('keydown', (e) => {
+            const item = e.target.closest('[data-symbol]');
+            if (!item || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            this.openQuoteCard(item.dataset.symbol, item);
+        });
+
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('.quote-card-close')) this.closeQuoteCard();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.quoteCardSymbol) this.closeQuoteCard();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.quoteCardSymbol) return;
+            if (card.contains(e.target) || e.target.closest('#stock-ticker [data-symbol]')) return;
+            this.closeQuoteCard();
+        });
+    }
+
+    openQuoteCard(symbol, trigger) {
+        if (!this.quoteCard || !this.tickerQuotes?.has(symbol)) return;
+
+        this.quoteCardSymbol = symbol;
+        this.quoteCardTrigger = trigger;
+        this.renderQuoteCard(symbol);
+        this.quoteCard.hidden = false;
+
+        // Hold the ticker still while a quote is open
+        document.getElementById('stock-ticker')?.classList.add('paused');
+        this.quoteCard.querySelector('.quote-card-close').focus();
+
+        Analytics.trackEvent('Ticker', 'Quote', symbol);
+    }
+
+    closeQuoteCard() {
+        if (!this.quoteCard || !this.quoteCardSymbol) return;
+
+        this.quoteCard.hidden = true;
+        this.quoteCardSymbol = null;
+        document.getElementById('stock-ticker')?.classList.remove('paused');
+
+        // The ticker may have re-rendered since, so return focus to the current item for this symbol
+        const trigger = this.quoteCardTrigger;
+        this.quoteCardTrigger = null;
+        if (trigger && trigger.isConnected) {
+            trigger.focus();
+        } else if (trigger) {
+            document.querySelector(`#stock-ticker [data-symbol="${trigger.dataset.symbol}"]`)?.focus();
+        }
+    }
+
+    renderQuoteCard(symbol) {
+        const quote = this.tickerQuotes.get(symbol);
+        const history = this.quoteHistory.get(symbol)?.prices || [quote.price];
+        const name = this.getTickerName(symbol);
+        const episodes = this.getEpisodesMentioning(symbol);
+
+        const isPositive = quote.change >= 0;
+        const sign = isPositive ? '+' : '-';
+
+        // Providers without a day range fall back to what we've seen this session
+        const low = quote.low || Math.min(...history);
+        const high = quote.high || Math.max(...history);
+
+        let source = 'Live';
+        if (quote.simulated) {
+            source = 'Simulated price';
+        } else if (quote.delayed) {
+            source = quote.asOf ? html`Delayed &middot; as of ${this.formatDate(quote.asOf)}` : 'Delayed';
+        }
+
+        const episodesHtml = episodes.length > 0
+            ? html`<ul class="quote-card-episode-list">
+                ${episodes.map(episode => html`
+                    <li><a href="${this.getEpisodeUrl(episode)}">Ep. ${episode.number}: ${episode.title}</a></li>
+                `)}
+            </ul>`
+            : html`<p class="quote-card-empty">Not mentioned on the show yet.</p>`;
+
+        this.quoteCard.innerHTML = html`
+            <div class="quote-card-header">
+                <div>
+                    <div class="quote-card-symbol" id="quote-card-symbol">${symbol}</div>
+                    ${name ? html`<div class="quote-card-name">${name}</div>` : ''}
+                </div>
+                <button type="button" class="quote-card-close" aria-label="Close quote">&times;</button>
+            </div>
+            <div class="quote-card-price">
+                $${quote.price.toFixed(2)}
+                <span class="quote-card-change ${isPositive ? 'positive' : 'negative'}">${sign}${Math.abs(quote.change).toFixed(2)} (${sign}${Math.abs(quote.changePercent).toFixed(2)}%)</span>
+            </div>
+            <canvas class="quote-card-chart" width="280" height="60" aria-hidden="true"></canvas>
+            <dl class="quote-card-stats">
+                <div><dt>Day range</dt><dd>$${low.toFixed(2)} &ndash; $${high.toFixed(2)}</dd></div>
+                ${quote.previousClose ? html`<div><dt>Prev. close</dt><dd>$${quote.previousClose.toFixed(2)}</dd></div>` : ''}
+            </dl>
+            <div class="quote-card-source">${source}</div>
+            <div class="quote-card-episodes">
+                <h4>On the show</h4>
+                ${episodesHtml}
+            </div>
+        `;
+
+        this.drawSparkline(this.quoteCard.querySelector('.quote-card-chart'), history);
+    }
+
+    async fetchStockData(symbols) {
+        if (!this.marketData) {
+            this.marketData = new MarketData(this.config?.market_data, {
+                mock: symbol => this.getMockStockData(symbol)
+            });
+        }
+        return this.marketData.getQuotes(symbols);
+    }
+    
+    getMockStockData(symbol) {
+        const basePrices = this.config?.ticker?.mock_prices || {};
+        const basePrice = basePrices[symbol] || 100;
+
+        // Seeded by symbol, day and refresh window so the ticker, quote card and
+        // portfolio all agree on a simulated price until the next refresh
+        const day = new Date().toDateString();
+        const bucket = Math.floor(Date.now() / this.getTickerRefreshInterval());
+        const dayMove = (this.seededRandom(`${symbol}:${day}`) - 0.5) * 6; // -$3 to +$3
+        const drift = (this.seededRandom(`${symbol}:${bucket}`) - 0.5) * 0.5;
+
+        const change = dayMove + drift;
+        const price = basePrice + change;
+        const spread = basePrice * 0.002;
+
+        return {
+            symbol,
+            price: Number(price.toFixed(2)),
+            change: Number(change.toFixed(2)),
+            changePercent: Number(((change / basePrice) * 100).toFixed(2)),
+            high: Number((Math.max(price, basePrice) + spread).toFixed(2)),
+            low: Number((Math.min(price, basePrice) - spread).toFixed(2)),
+            previousClose: basePrice
+        };
+    }
+
+    seededRandom(seed) {
+        // FNV-1a hash mapped onto [0, 1)
+        let hash = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+
+    generateMockStockData(stocks, tickerContent) {
+        const quotes = stocks.map(symbol => ({
+            ...this.getMockStockData(symbol),
+            source: 'mock',
+            simulated: true
+        }));
+
+        this.renderTicker(quotes, tickerContent);
+    }
+
+    insertSponsorAds(stockItems) {
+        const sponsors = this.getActiveSponsors('ticker');
+
+        const result = [];
+        stockItems.forEach((item, index) => {
+            result.push(item);
+
+            // Insert sponsor ad after every 10 stocks
+            if ((index + 1) % 10 === 0 && sponsors.length > 0) {
+                result.push(this.createTickerAd(this.nextSponsor(sponsors)));
+            }
+        });
+
+        return result;
+    }
+
+    createTickerAd(sponsor) {
+        const text = [sponsor.icon, sponsor.name].filter(Boolean).join(' ')
+            + (sponsor.tagline ? ` - ${sponsor.tagline}` : '');
+        const attributes = html`class="ticker-item sponsor-ad" data-sponsor="${sponsor.id}" data-placement="ticker"`;
+
+        return sponsor.url
+            ? html`<a ${attributes} href="${sponsor.url}" target="_blank" rel="noopener sponsored">${text}</a>`
+            : html`<span ${attributes}>${text}</span>`;
+    }
+
+    // The hero video is position: sticky and the info column scrolls with the page (see styles.css), so
+    // wheel, trackpad, keyboard and touch scrolling all stay native and the player keeps its clicks.
+    // This only mirrors scroll progress into --infohub-progress for the progress bar on the video.
+    setupInfohubScrolling() {
+        const layout = document.querySelector('.hero-video-layout');
+        const infoColumn = layout?.querySelector('.info-column');
+        if (!infoColumn) return;
+
+        this.teardownInfohubScrolling();
+
+        // Side-by-side layout only; stacked on mobile there is nothing to keep in sync
+        const sideBySide = window.matchMedia('(min-width: 769px)');
+        const controller = new AbortController();
+        let scrollListeners = null;
+        let frame = null;
+
+        const update = () => {
+            frame = null;
+            // Measured below the sticky header, which covers the top of the viewport
+            const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+            const rect = infoColumn.getBoundingClientRect();
+            const scrollable = rect.height - (window.innerHeight - headerHeight);
+            const progress = scrollable > 0 ? Math.min(1, Math.max(0, (headerHeight - rect.top) / scrollable)) : 0;
+            layout.style.setProperty('--infohub-progress', progress.toFixed(3));
+        };
+
+        const requestUpdate = () => {
+            if (frame === null) frame = requestAnimationFrame(update);
+        };
+
+        const toggle = () => {
+            scrollListeners?.abort();
+            scrollListeners = null;
+            layout.classList.toggle('is-synced', sideBySide.matches);
+            if (!sideBySide.matches) return;
+
+            scrollListeners = new AbortController();
+            window.addEventListener('scroll', requestUpdate, { passive: true, signal: scrollListeners.signal });
+            window.addEventListener('resize', requestUpdate, { passive: true, signal: scrollListeners.signal });
+            requestUpdate();
+        };
+
+        sideBySide.addEventListener('change', toggle, { signal: controller.signal });
+        controller.signal.addEventListener('abort', () => {
+            scrollListeners?.abort();
+            if (frame !== null) cancelAnimationFrame(frame);
+            layout.classList.remove('is-synced');
+            layout.style.removeProperty('--infohub-progress');
+        });
+
+        this.infohubScrolling = controller;
+        toggle();
+    }
+
+    teardownInfohubScrolling() {
+        this.infohubScrolling?.abort();
+        this.infohubScrolling = null;
+    }
+
+    loadSponsors() {
+        // Shared by the carousel and the ticker so sponsors.json is only fetched once
+        if (!this.sponsorsRequest) {
+            this.sponsorsRequest = this.fetchSponsors();
+        }
+        return this.sponsorsRequest;
+    }
+
+    async fetchSponsors() {
+        try {
+            const response = await fetch('/data/sponsors.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.sponsors = data.sponsors || [];
+        } catch (error) {
+            console.error('Error loading sponsors:', error);
+            this.sponsors = [];
+        }
+    }
+
+    getActiveSponsors(placement, now = new Date()) {
+        return (this.sponsors || []).filter(sponsor => {
+            if (sponsor.placements && !sponsor.placements.includes(placement)) return false;
+            if ((sponsor.weight ?? 1) <= 0) return false;
+
+            // Runs are inclusive of both dates; a missing date leaves that end open
+            if (sponsor.start_date && now < new Date(`${sponsor.start_date}T00:00:00`)) return false;
+            if (sponsor.end_date && now > new Date(`${sponsor.end_date}T23:59:59`)) return false;
+            return true;
+        });
+    }
+
+    nextSponsor(sponsors) {
+        // Smooth weighted round-robin: each sponsor's share of slots matches its weight
+        // exactly, and heavy sponsors are spread out instead of appearing back to back
+        if (!this.sponsorRotation) this.sponsorRotation = new Map();
+
+        const totalWeight = sponsors.reduce((sum, sponsor) => sum + (sponsor.weight ?? 1), 0);
+        let selected = null;
+
+        sponsors.forEach(sponsor => {
+            const current = (this.sponsorRotation.get(sponsor.id) || 0) + (sponsor.weight ?? 1);
+            this.sponsorRotation.set(sponsor.id, current);
+            if (!selected || current > this.sponsorRotation.get(selected.id)) {
+                selected = sponsor;
+            }
+        });
+
+        this.sponsorRotation.set(selected.id, this.sponsorRotation.get(selected.id) - totalWeight);
+        return selected;
+    }
+
+    createSponsorSlide(sponsor, isClone = false) {
+        const logo = html`<img src="${sponsor.logo}" alt="${isClone ? '' : sponsor.name}"${sponsor.tagline ? html` title="${sponsor.tagline}"` : ''}>`;
+        // Clones only exist to make the loop seamless, so keep them out of the accessibility tree
+        const attributes = html`class="sponsor-slide" data-sponsor="${sponsor.id}" data-placement="carousel"${isClone ? html` aria-hidden="true"` : ''}`;
+
+        if (!sponsor.url) {
+            return html`<div ${attributes}>${logo}</div>`;
+        }
+
+        return html`<a ${attributes}${isClone ? html` tabindex="-1"` : ''} href="${sponsor.url}" target="_blank" rel="noopener sponsored">${logo}</a>`;
+    }
+
+    setupSponsorTracking() {
+        if (this.sponsorObserver !== undefined) return;
+
+        // "sponsor:placement" keys already counted; the ticker re-renders its ads on every refresh
+        this.sponsorImpressions = new Set();
+
+        // An impression is counted the first time each sponsor is actually on screen in a placement
+        this.sponsorObserver = 'IntersectionObserver' in window
+            ? new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    this.sponsorObserver.unobserve(entry.target);
+                    this.trackSponsorImpression(entry.target);
+                });
+            }, { threshold: 0.5 })
+            : null;
+
+        document.addEventListener('click', (e) => {
+            const ad = e.target.closest('a[data-sponsor]');
+            if (!ad) return;
+            Analytics.trackEvent('Sponsor', 'Click', `${ad.dataset.sponsor}:${ad.dataset.placement}`);
+        });
+    }
+
+    observeSponsorAds(container) {
+        this.setupSponsorTracking();
+
+        container.querySelectorAll('[data-sponsor]:not([aria-hidden="true"])').forEach(ad => {
+            if (this.sponsorImpressions.has(this.sponsorImpressionKey(ad))) return;
+
+            if (this.sponsorObserver) {
+                this.sponsorObserver.observe(ad);
+            } else {
+                this.trackSponsorImpression(ad);
+            }
+        });
+    }
+
+    sponsorImpressionKey(ad) {
+        return `${ad.dataset.sponsor}:${ad.dataset.placement}`;
+    }
+
+    // At most once per sponsor and placement for each page view
+    trackSponsorImpression(ad) {
+        const key = this.sponsorImpressionKey(ad);
+        if (this.sponsorImpressions.has(key)) return;
+
+        this.sponsorImpressions.add(key);
+        Analytics.trackEvent('Sponsor', 'Impression', key);
+    }
+
+    async setupSponsorCarousel() {
+        const sponsorsTrack = document.querySelector('.sponsors-track');
+        if (!sponsorsTrack) return;
+
+        await this.loadSponsors();
+        const sponsors = this.getActiveSponsors('carousel');
+        const section = sponsorsTrack.closest('.sponsors-section');
+
+        if (sponsors.length === 0) {
+            if (section) section.hidden = true;
+            return;
+        }
+
+        // Render the list twice so the track can loop without a visible seam
+        sponsorsTrack.innerHTML = html`${sponsors.map(sponsor => this.createSponsorSlide(sponsor))}${sponsors.map(sponsor => this.createSponsorSlide(sponsor, true))}`;
+
+        // The keyframes scroll exactly one copy of the list, at a constant speed per sponsor
+        sponsorsTrack.style.setProperty('--sponsor-count', sponsors.length);
+        sponsorsTrack.style.animationDuration = `${(sponsors.length * 1.8).toFixed(1)}s`;
+
+        // Ensure smooth animation by pausing and restarting when needed
+        sponsorsTrack.addEventListener('animationiteration', () => {
+            // Reset transform to prevent accumulating transforms
+            sponsorsTrack.style.transform = 'translateX(0)';
+        });
+
+        // Add CSS to ensure smooth animation
+        sponsorsTrack.style.willChange = 'transform';
+        sponsorsTrack.style.backfaceVisibility = 'hidden';
+        sponsorsTrack.style.perspective = '1000px';
+
+        this.observeSponsorAds(sponsorsTrack);
+    }
+
+    // /analytics: totals and breakdowns from api/stats.js, behind ANALYTICS_TOKEN
+    async setupAnalyticsDashboard() {
+        const dashboard = document.getElementById('analytics-dashboard');
+        if (!dashboard) return;
+
+        const range = document.getElementById('analytics-range');
+        const tokenForm = document.getElementById('analytics-token-form');
+
+        range.addEventListener('change', () => this.renderAnalyticsDashboard());
+        tokenForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                sessionStorage.setItem('hqv-analytics-token', tokenForm.elements.token.value.trim());
+            } catch (error) {
+                // Storage unavailable; the token only lasts until the next reload
+            }
+            this.analyticsToken = tokenForm.elements.token.value.trim();
+            this.renderAnalyticsDashboard();
+        });
+
+        try {
+            this.analyticsToken = sessionStorage.getItem('hqv-analytics-token') || '';
+        } catch (error) {
+            this.analyticsToken = '';
+        }
+
+        // Sponsor names for the breakdown; ids are shown if this fails
+        await this.loadSponsors();
+        this.renderAnalyticsDashboard();
+    }
+
+    async renderAnalyticsDashboard() {
+        const dashboard = document.getElementById('analytics-dashboard');
+        const range = document.getElementById('analytics-range');
+        const tokenForm = document.getElementById('analytics-token-form');
+
+        dashboard.setAttribute('aria-busy', 'true');
+        try {
+            const response = await fetch(`/api/stats?days=${encodeURIComponent(range.value)}`, {
+                headers: this.analyticsToken ? { Authorization: `Bearer ${this.analyticsToken}` } : {},
+                cache: 'no-store'
+            });
+
+            if (response.status === 401) {
+                tokenForm.hidden = false;
+                tokenForm.querySelector('.analytics-token-message').textContent = this.analyticsToken ? 'That token was not accepted.' : '';
+                dashboard.innerHTML = '';
+                tokenForm.elements.token.focus();
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            tokenForm.hidden = true;
+            dashboard.innerHTML = this.createAnalyticsDashboard(await response.json());
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            dashboard.innerHTML = html`<div class="loading">Analytics are unavailable right now.</div>`;
+        } finally {
+            dashboard.removeAttribute('aria-busy');
+        }
+    }
+
+    createAnalyticsDashboard(stats) {
+        const totals = [
+            { label: 'Page Views', value: stats.totals.pageviews },
+            { label: 'Episode Plays', value: stats.totals.plays },
+            { label: 'Platform Clicks', value: stats.totals.platformClicks },
+            { label: 'Sponsor Clicks', value: stats.totals.sponsorClicks }
+        ];
+
+        const peak = Math.max(1, ...stats.daily.map(day => day.pageviews));
+        const episodeTitle = id => {
+            const episode = (this.episodes || []).find(item => item.id === id);
+            return episode ? `Ep. ${episode.number}: ${episode.title}` : id;
+        };
+        const sponsorName = id => (this.sponsors || []).find(sponsor => sponsor.id === id)?.name || id;
+        const platformName = id => SOCIAL_NETWORKS[id]?.label || id;
+
+        const table = (title, headings, rows) => html`
+            <div class="analytics-panel">
+                <h2>${title}</h2>
+                ${rows.length > 0 ? html`
+                    <table class="analytics-table">
+                        <thead><tr>${headings.map(heading => html`<th scope="col">${heading}</th>`)}</tr></thead>
+                        <tbody>
+                            ${rows.map(cells => html`<tr>${cells.map(cell => html`<td>${typeof cell === 'number' ? cell.toLocaleString('en-US') : cell}</td>`)}</tr>`)}
+                        </tbody>
+                    </table>
+                ` : html`<p class="analytics-empty">Nothing yet.</p>`}
+            </div>
+        `;
+
+        return html`
+            <div class="stats-grid analytics-totals">
+                ${totals.map(stat => html`
+                    <div class="stat-item">
+                        <div class="stat-number">${stat.value.toLocaleString('en-US')}</div>
+                        <div class="stat-label">${stat.label}</div>
+                    </div>
+                `)}
+            </div>
+
+            <div class="analytics-panel">
+                <h2>Daily Page Views</h2>
+                <div class="analytics-chart" role="img" aria-label="Page views per day over the last ${stats.days} days">
+                    ${stats.daily.map(day => html`
+                        <span class="analytics-bar" style="--bar-height: ${(day.pageviews / peak * 100).toFixed(1)}%"
+                            title="${this.formatDate(`${day.date}T12:00:00`)}: ${day.pageviews} views, ${day.plays} plays"></span>
+                    `)}
+                </div>
+            </div>
+
+            <div class="analytics-grid">
+                ${table('Top Pages', ['Page', 'Views'], stats.pages.map(page => [page.path, page.views]))}
+                ${table('Episode Plays', ['Episode', 'Plays'], stats.episodes.map(episode => [episodeTitle(episode.id), episode.plays]))}
+                ${table('Platform Clicks', ['Platform', 'Clicks'], stats.platforms.map(platform => [platformName(platform.platform), platform.clicks]))}
+                ${table('Sponsors', ['Sponsor', 'Clicks', 'Impressions'], stats.sponsors.map(sponsor => [sponsorName(sponsor.sponsor), sponsor.clicks, sponsor.impressions]))}
+                ${table('Referrers', ['Site', 'Views'], stats.referrers.map(referrer => [referrer.host, referrer.views]))}
+            </div>
+        `;
+    }
+
+    // Search overlay, opened from the header button, "/" or Cmd/Ctrl-K. The index comes from
+    // scripts/build-search.js and is only fetched the first time the overlay opens.
+    setupSearch() {
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-search-open]')) return;
+            e.preventDefault();
+            this.openSearch();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.searchOverlay && !this.searchOverlay.hidden) {
+                    this.closeSearch();
+                } else {
+                    this.openSearch();
+                }
+                return;
+            }
+
+            // "/" is only a shortcut when it isn't being typed into a field
+            const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if (e.key === '/' && !typing && !e.altKey && !e.metaKey && !e.ctrlKey) {
+                e.preventDefault();
+                this.openSearch();
+            }
+        });
+    }
+
+    loadSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = fetch('/data/search-index.json').then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            });
+            // Let the next query try again instead of keeping the failure
+            this.searchIndex.catch(() => {
+                this.searchIndex = null;
+            });
+        }
+        return this.searchIndex;
+    }
+
+    createSearchOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'search-overlay';
+        overlay.hidden = true;
+        overlay.innerHTML = html`
+            <div class="search-dialog" role="dialog" aria-modal="true" aria-label="Search the site">
+                <div class="search-bar">
+                    <input type="search" class="search-input" placeholder="Search episodes, articles, guests and team" aria-label="Search" autocomplete="off" spellcheck="false" role="combobox" aria-expanded="false" aria-controls="search-results" aria-autocomplete="list">
+                    <button type="button" class="search-close" aria-label="Close search">Esc</button>
+                </div>
+                <div class="search-results" id="search-results" role="listbox" aria-label="Search results"></div>
+                <p class="search-status" aria-live="polite"></p>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const input = overlay.querySelector('.search-input');
+
+        input.addEventListener('input', () => this.renderSearchResults(input.value));
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                const option = overlay.querySelector('.search-result[aria-selected="true"]') || overlay.querySelector('.search-result');
+                if (option) {
+                    e.preventDefault();
+                    option.click();
+                }
+            }
+        });
+
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSearch();
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog while it's open
+                const focusable = [...overlay.querySelectorAll('input, button, a[href]')];
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+
+        overlay.addEventListener('click', (e) => {
+            const option = e.target.closest('.search-result');
+            if (option) {
+                Analytics.trackEvent('Search', 'Result Click', option.getAttribute('href'));
+                this.closeSearch();
+            } else if (e.target === overlay || e.target.closest('.search-close')) {
+                this.closeSearch();
+            }
+        });
+
+        return overlay;
+    }
+
+    openSearch() {
+        if (!this.searchOverlay) this.searchOverlay = this.createSearchOverlay();
+        if (!this.searchOverlay.hidden) return;
+
+        this.searchReturnFocus = document.activeElement;
+        this.searchOverlay.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        const input = this.searchOverlay.querySelector('.search-input');
+        input.focus();
+        input.select();
+        this.renderSearchResults(input.value);
+    }
+
+    closeSearch() {
+        if (!this.searchOverlay || this.searchOverlay.hidden) return;
+
+        this.searchOverlay.hidden = true;
+        document.body.style.overflow = '';
+        this.searchReturnFocus?.focus?.();
+    }
+
+    async renderSearchResults(query) {
+        const input = this.searchOverlay.querySelector('.search-input');
+        const results = this.searchOverlay.querySelector('.search-results');
+        const status = this.searchOverlay.querySelector('.search-status');
+
+        let index;
+        try {
+            if (!this.searchIndex) status.textContent = 'Loading search...';
+            index = await this.loadSearchIndex();
+        } catch (error) {
+            console.error('Error loading search index:', error);
+            status.textContent = 'Search is unavailable right now.';
+            return;
+        }
+
+        // A newer keystroke has its own render on the way
+        if (input.value !== query) return;
+
+        const matches = Search.query(index, query, 40);
+        const groups = Object.entries(Search.GROUPS)
+            .map(([type, label]) => ({ type, label, matches: matches.filter(match => match.document.type === type).slice(0, 5) }))
+            .filter(group => group.matches.length > 0);
+
+        let optionIndex = 0;
+        results.innerHTML = html`${groups.map(group => html`
+            <div class="search-group" role="group" aria-labelledby="search-group-${group.type}">
+                <h3 class="search-group-title" id="search-group-${group.type}">${group.label}</h3>
+                ${group.matches.map(({ document: result, terms }) => html`
+                    <a href="${result.url}" class="search-result" role="option" id="search-option-${optionIndex++}" aria-selected="false"${result.external ? html` target="_blank" rel="noopener"` : ''}>
+                        <span class="search-result-title">${Search.highlight(result.title, terms)}</span>
+                        ${result.subtitle ? html`<span class="search-result-meta">${result.subtitle}</span>` : ''}
+                        ${result.text ? html`<span class="search-result-snippet">${Search.snippet(result.text, terms)}</span>` : ''}
+                    </a>
+                `)}
+            </div>
+        `)}`;
+
+        input.setAttribute('aria-expanded', String(optionIndex > 0));
+        input.removeAttribute('aria-activedescendant');
+
+        if (!query.trim()) {
+            status.textContent = '';
+        } else if (optionIndex === 0) {
+            status.textContent = `No results for "${query.trim()}"`;
+        } else {
+            status.textContent = `${optionIndex} result${optionIndex === 1 ? '' : 's'}`;
+        }
+    }
+
+    moveSearchSelection(step) {
+        const input = this.searchOverlay.querySelector('.search-input');
+        const options = [...this.searchOverlay.querySelectorAll('.search-result')];
+        if (options.length === 0) return;
+
+        const current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+        const next = current === -1 && step < 0 ? options.length - 1 : (current + step + options.length) % options.length;
+
+        options.forEach((option, index) => option.setAttribute('aria-selected', String(index === next)));
+        input.setAttribute('aria-activedescendant', options[next].id);
+        options[next].scrollIntoView({ block: 'nearest' });
+    }
+
+    // offline.html, served by sw.js when a page isn't cached: lists the episodes saved with "Save offline"
+    async setupOfflinePage() {
+        const container = document.getElementById('offline-episodes');
+        if (!container) return;
+
+        const episodes = (this.episodes || []).filter(episode => episode.audio_url);
+        let saved = [];
+        try {
+            const flags = await Promise.all(episodes.map(episode => OfflineAudio.has(episode.audio_url)));
+            saved = episodes.filter((episode, index) => flags[index]);
+        } catch (error) {
+            // No Cache API (or storage blocked), so nothing can have been saved
+            saved = [];
+        }
+
+        container.innerHTML = saved.length > 0
+            ? html`${saved.map(episode => this.createEpisodeCard(episode))}`
+            : html`<p class="offline-empty">No saved episodes yet. Use "Save offline" in an episode's player while you're connected.</p>`;
+    }
+
+}
+
+// Markup that is already safe to insert: the result of an html`` template or Html.trusted()
+class SafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Escape-by-default templating for every renderer
+// html`<h3>${episode.title}</h3>` escapes each interpolated value unless it is SafeHtml, so nested
+// templates compose without double-escaping. Arrays are concatenated and null or undefined render
+// nothing. Values filling an href or src are also checked with Html.safeUrl().
+// Markup that comes from outside the code (rendered Markdown, third-party embeds) must go through
+// Html.trusted(), which keeps only allowlisted tags, attributes and embed hosts.
+class Html {
+    static ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'iframe', 'img', 'ins', 'li', 'mark', 'ol', 'p',
+        'pre', 's', 'section', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th',
+        'thead', 'time', 'tr', 'u', 'ul'
+    ]);
+
+    // Removed together with everything inside them; any other unknown tag is unwrapped
+    static DROPPED_TAGS = new Set([
+        'embed', 'math', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'
+    ]);
+
+    static VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+    static GLOBAL_ATTRIBUTES = new Set(['class', 'dir', 'id', 'lang', 'role', 'title']);
+
+    static TAG_ATTRIBUTES = {
+        a: ['href', 'rel', 'target'],
+        iframe: ['allow', 'allowfullscreen', 'frameborder', 'height', 'loading', 'referrerpolicy', 'src', 'width'],
+        img: ['alt', 'height', 'loading', 'src', 'width'],
+        ol: ['reversed', 'start'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        time: ['datetime']
+    };
+
+    // iframes are only kept when they point at one of these players
+    static EMBED_HOSTS = [
+        'www.youtube.com',
+        'www.youtube-nocookie.com',
+        'player.vimeo.com',
+        'open.spotify.com',
+        'embed.podcasts.apple.com',
+        'embeds.beehiiv.com'
+    ];
+
+    static ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+        ndash: '–', mdash: '—', hellip: '…', middot: '·', times: '×',
+        lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©'
+    };
+
+    static render(strings, values) {
+        return new SafeHtml(strings.reduce((markup, string, index) => {
+            if (index === values.length) return markup + string;
+
+            const value = values[index];
+            const isUrl = !(value instanceof SafeHtml) && /\s(?:href|src)="$/i.test(string);
+            return markup + string + Html.value(isUrl ? Html.safeUrl(String(value ?? '')) : value);
+        }, ''));
+    }
+
+    static value(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(Html.value).join('');
+        return Html.escape(value);
+    }
+
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Relative paths, anchors and http(s)/mailto/tel only - blocks javascript:, data: and friends,
+    // including when they are hidden behind entities or whitespace
+    static safeUrl(url) {
+        const normalized = Html.decodeEntities(url).replace(/[\u0000- \u007f]/g, '');
+        return /^(https?:|mailto:|tel:)/i.test(normalized) || !/^[\w+.-]+:/.test(normalized) ? url : '#';
+    }
+
+    static decodeEntities(text) {
+        return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] !== '#') return Html.ENTITIES[name.toLowerCase()] ?? entity;
+
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        });
+    }
+
+    static trusted(markup) {
+        return new SafeHtml(Html.sanitize(String(markup ?? '')));
+    }
+
+    // String-based so it behaves the same in the browser and in scripts/build-static.js
+    static sanitize(markup) {
+        const output = [];
+        const open = [];
+        let dropped = null;
+
+        const tokens = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/gi;
+        let token;
+        while ((token = tokens.exec(markup)) !== null) {
+            const [text, closing, rawName, rawAttributes = ''] = token;
+
+            if (text.startsWith('<!--')) continue;
+
+            if (!rawName) {
+                if (!dropped) output.push(Html.escapeText(text));
+                continue;
+            }
+
+            const name = rawName.toLowerCase();
+            const selfClosing = /\/\s*$/.test(rawAttributes);
+
+            // Inside a dropped element: only track nesting until it closes
+            if (dropped) {
+                if (name === dropped.name && !selfClosing) dropped.depth += closing ? -1 : 1;
+                if (dropped.depth === 0) dropped = null;
+                continue;
+            }
+
+            if (Html.DROPPED_TAGS.has(name)) {
+                if (!closing && !selfClosing) dropped = { name, depth: 1 };
+                continue;
+            }
+
+            if (!Html.ALLOWED_TAGS.has(name)) continue;
+
+            if (closing) {
+                const index = open.lastIndexOf(name);
+                while (index !== -1 && open.length > index) output.push(`</${open.pop()}>`);
+                continue;
+            }
+
+            const attributes = Html.sanitizeAttributes(name, rawAttributes);
+            if (attributes === null) {
+                // An iframe from a host that isn't allowlisted, fallback content included
+                if (!selfClosing) dropped = { name, depth: 1 };
+                continue;
+            }
+
+            output.push(`<${name}${attributes}>`);
+            if (!Html.VOID_TAGS.has(name) && !selfClosing) open.push(name);
+        }
+
+        while (open.length > 0) output.push(`</${open.pop()}>`);
+        return output.join('');
+    }
+
+    static sanitizeAttributes(name, rawAttributes) {
+        const allowed = Html.TAG_ATTRIBUTES[name] || [];
+        const attributes = new Map();
+        const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+        let match;
+        while ((match = pattern.exec(rawAttributes)) !== null) {
+            const attribute = match[1].toLowerCase();
+            const value = Html.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+            const isAllowed = Html.GLOBAL_ATTRIBUTES.has(attribute)
+                || /^(aria|data)-[\w-]+$/.test(attribute)
+                || allowed.includes(attribute);
+            if (!isAllowed || attributes.has(attribute)) continue;
+            if ((attribute === 'href' || attribute === 'src') && Html.safeUrl(value) !== value) continue;
+
+            attributes.set(attribute, value);
+        }
+
+        if (name === 'iframe' && !Html.isEmbedUrl(attributes.get('src'))) return null;
+
+        // Links opening a new tab never get a handle on this window
+        if (name === 'a' && attributes.get('target') === '_blank') {
+            const rel = (attributes.get('rel') || '').split(/\s+/).filter(Boolean);
+            if (!rel.includes('noopener')) rel.push('noopener');
+            attributes.set('rel', rel.join(' '));
+        }
+
+        return [...attributes].map(([attribute, value]) => ` ${attribute}="${Html.escape(value)}"`).join('');
+    }
+
+    static isEmbedUrl(src) {
+        try {
+            const url = new URL(src);
+            return url.protocol === 'https:' && Html.EMBED_HOSTS.includes(url.hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Text keeps its entities; only markup characters and stray ampersands are escaped
+    static escapeText(text) {
+        return text
+            .replace(/&(?!(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+function html(strings, ...values) {
+    return Html.render(strings, values);
+}
+
+// Social networks keyed by the names used in config.social and team.json; not every network has an icon
+const SOCIAL_NETWORKS = {
+    youtube: { label: 'YouTube' },
+    spotify: { label: 'Spotify' },
+    apple: { label: 'Apple Podcasts' },
+    instagram: { label: 'Instagram' },
+    tiktok: { label: 'TikTok' },
+    x: {
+        label: 'X',
+        svg: html`<svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg>`
+    },
+    linkedin: {
+        label: 'LinkedIn',
+        svg: html`<svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/></svg>`
+    }
+};
+
+// Shared header, mobile menu and footer
+// Pages carry empty [data-layout] placeholders and mark themselves with <body data-page="...">.
+// All links are absolute so nested routes like /episodes/3 resolve correctly.
+class Layout {
+    static NAV = [
+        { label: 'Home', href: '/', pages: ['home'] },
+        { label: 'Videos', social: 'youtube' },
+        { label: 'News', newsletter: 'site_url' },
+        { label: 'Team', href: '/team.html', pages: ['team'] },
+        { label: 'Portfolio', href: '/portfolio.html', pages: ['portfolio'] },
+        { label: 'More', href: '/more.html', pages: ['more', 'episodes', 'episode', 'guests', 'blog', 'post'] },
+        { label: 'About', href: '/about.html', pages: ['about'] }
+    ];
+
+    static FOOTER_GROUPS = [
+        { title: 'Content', links: [{ social: 'youtube' }, { social: 'spotify' }, { social: 'apple' }] },
+        {
+            title: 'Newsletter',
+            links: [
+                { label: 'Visit Site', newsletter: 'site_url' },
+                { label: 'Subscribe', newsletter: 'subscribe_url' }
+            ]
+        },
+        {
+            title: 'Connect',
+            links: [{ social: 'x' }, { social: 'instagram' }, { social: 'tiktok' }, { social: 'linkedin' }]
+        }
+    ];
+
+    // Resolves a nav/footer entry against config; entries whose URL isn't set yet are left out
+    static resolveLink(link, config) {
+        let href = link.href;
+        if (link.social) href = config?.social?.[link.social];
+        if (link.newsletter) href = config?.newsletter?.[link.newsletter];
+        if (!href || href === '#') return null;
+
+        return {
+            label: link.label || SOCIAL_NETWORKS[link.social]?.label || link.social,
+            href,
+            external: /^https?:\/\//.test(href),
+            pages: link.pages || []
+        };
+    }
+
+    static navLinks(config, page) {
+        return Layout.NAV
+            .map(link => Layout.resolveLink(link, config))
+            .filter(Boolean)
+            .map(link => {
+                const isActive = link.pages.includes(page);
+                return html`<li><a href="${link.href}" class="nav-link${isActive ? ' active' : ''}"${isActive ? html` aria-current="page"` : ''}${link.external ? html` target="_blank" rel="noopener"` : ''}>${link.label}</a></li>`;
+            });
+    }
+
+    static header(config, page) {
+        return html`
+        <nav class="nav">
+            <div class="nav-brand">
+                <a href="/" class="brand-link">
+                    <img src="/graphic assets/hq-pure-icon.png" alt="HQ" class="brand-icon">
+                    <span class="brand-title">${config?.site_name || 'Headquarters Ventures'}</span>
+                </a>
+            </div>
+            <ul class="nav-menu">${Layout.navLinks(config, page)}</ul>
+            <div class="nav-actions">
+                <button type="button" class="search-toggle" data-search-open aria-label="Search" title="Search (/)" aria-keyshortcuts="/ Control+K Meta+K">
+                    <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" aria-hidden="true">
+                        <circle cx="11" cy="11" r="7"></circle>
+                        <path d="M20 20l-3.5-3.5"></path>
+                    </svg>
+                </button>
+                <button class="mobile-menu-toggle" aria-label="Toggle mobile menu">
+                    <span></span>
+                    <span></span>
+                    <span></span>
+                </button>
+            </div>
+        </nav>`;
+    }
+
+    static mobileMenu(config, page) {
+        return html`
+        <div class="mobile-menu-panel">
+            <div class="mobile-menu-header">
+                <h3 class="mobile-menu-title">Menu</h3>
+                <button class="mobile-menu-close" aria-label="Close menu">&times;</button>
+            </div>
+            <ul class="mobile-nav-links">${Layout.navLinks(config, page)}</ul>
+        </div>`;
+    }
+
+    static footer(config) {
+        const groups = Layout.FOOTER_GROUPS
+            .map(group => ({
+                title: group.title,
+                links: group.links.map(link => Layout.resolveLink(link, config)).filter(Boolean)
+            }))
+            .filter(group => group.links.length > 0)
+            .map(group => html`
+                    <div class="link-group">
+                        <h4>${group.title}</h4>
+                        <ul>
+                            ${group.links.map(link => html`<li><a href="${link.href}"${link.external ? html` target="_blank" rel="noopener"` : ''}>${link.label}</a></li>`)}
+                        </ul>
+                    </div>`);
+
+        const siteName = config?.site_name || 'Headquarters Ventures';
+
+        return html`
+        <div class="container">
+            <div class="footer-content">
+                <div class="footer-brand">
+                    <h3>${siteName}</h3>
+                    <p>Geniuses doing business.</p>
+                </div>
+                <div class="footer-links">${groups}
+                </div>
+            </div>
+            <div class="footer-bottom">
+                <p>&copy; ${new Date().getFullYear()} ${siteName}. All rights reserved.</p>
+            </div>
+        </div>`;
+    }
+
+    static render(config, page = document.body.dataset.page || '') {
+        const renderers = {
+            header: () => Layout.header(config, page),
+            'mobile-menu': () => Layout.mobileMenu(config, page),
+            footer: () => Layout.footer(config)
+        };
+
+        document.querySelectorAll('[data-layout]').forEach(element => {
+            const render = renderers[element.dataset.layout];
+            if (render && element.dataset.prerendered === undefined) element.innerHTML = render();
+        });
+    }
+}
+
+// Minimal, safe Markdown renderer for posts/*.md
+// Raw HTML is never passed through: all text is escaped, URLs are restricted to safe schemes and the
+// finished markup still goes through Html.trusted() so the embeds it produces are allowlisted too.
+class Markdown {
+    static render(source) {
+        const footnotes = new Map();
+        const footnoteOrder = [];
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+
+        // Collect footnote definitions first so references can be numbered in order of use
+        const bodyLines = [];
+        for (let i = 0; i < lines.length; i++) {
+            const definition = lines[i].match(/^\[\^([^\]]+)\]:\s*(.*)$/);
+            if (!definition) {
+                bodyLines.push(lines[i]);
+                continue;
+            }
+
+            let text = definition[2];
+            while (i + 1 < lines.length && /^( {2,}|\t)\S/.test(lines[i + 1])) {
+                text += ` ${lines[++i].trim()}`;
+            }
+            footnotes.set(definition[1], text);
+        }
+
+        const context = { footnotes, footnoteOrder };
+        let html = Markdown.renderBlocks(bodyLines, context);
+
+        if (footnoteOrder.length > 0) {
+            const items = footnoteOrder.map(id => `
+                <li id="fn-${Markdown.slugify(id)}">
+                    ${Markdown.renderInline(footnotes.get(id), context)}
+                    <a href="#fnref-${Markdown.slugify(id)}" class="footnote-back" aria-label="Back to reference">&#8617;</a>
+                </li>
+            `).join('');
+            html += `<section class="footnotes"><ol>${items}</ol></section>`;
+        }
+
+        return Html.trusted(html);
+    }
+
+    static renderBlocks(lines, context) {
+        const blocks = [];
+        let paragraph = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${Markdown.renderInline(paragraph.join(' '), context)}</p>`);
+                paragraph = [];
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block
+            const fence = line.match(/^```\s*([\w-]*)\s*$/);
+            if (fence) {
+                flushParagraph();
+                const code = [];
+                while (i + 1 < lines.length && !/^```\s*$/.test(lines[i + 1])) {
+                    code.push(lines[++i]);
+                }
+                i++;
+                const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+                blocks.push(`<pre><code${language}>${Html.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                flushParagraph();
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+            if (heading) {
+                flushParagraph();
+                const level = heading[1].length;
+                const id = Markdown.slugify(heading[2]);
+                blocks.push(`<h${level} id="${id}">${Markdown.renderInline(heading[2], context)}</h${level}>`);
+                continue;
+            }
+
+            if (/^(\*{3,}|-{3,}|_{3,})\s*$/.test(line)) {
+                flushParagraph();
+                blocks.push('<hr>');
+                continue;
+            }
+
+            // Embeds: a YouTube link on a line of its own
+            const embed = Markdown.getEmbed(line.trim());
+            if (embed) {
+                flushParagraph();
+                blocks.push(embed);
+                continue;
+            }
+
+            if (/^>\s?/.test(line)) {
+                flushParagraph();
+                const quote = [];
+                while (i < lines.length && /^>\s?/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^>\s?/, ''));
+                    i++;
+                }
+                i--;
+                blocks.push(`<blockquote>${Markdown.renderBlocks(quote, context)}</blockquote>`);
+                continue;
+            }
+
+            const listItem = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+            if (listItem) {
+                flushParagraph();
+                const ordered = /\d/.test(listItem[1]);
+                const items = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+                    if (item && /\d/.test(item[1]) === ordered) {
+                        items.push(item[2]);
+                    } else if (items.length > 0 && /^\s{2,}\S/.test(lines[i])) {
+                        items[items.length - 1] += ` ${lines[i].trim()}`;
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                i--;
+                const tag = ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}>${items.map(item => `<li>${Markdown.renderInline(item, context)}</li>`).join('')}</${tag}>`);
+                continue;
+            }
 
-        // Generate mock chart data
-        const chartData = this.generateMockChartData(previousValue, totalValue);
+            paragraph.push(line.trim());
+        }
 
-        // Update portfolio display
-        this.updatePortfolioDisplay(change, changePercent, totalValue);
-        this.updatePortfolioHoldings(totalValue);
+        flushParagraph();
+        return blocks.join('\n');
+    }
 
-        // Draw chart
-        this.drawPortfolioChart(chartData);
+    static renderInline(text, context) {
+        // Finished HTML fragments are stashed behind placeholders so later passes can't mangle them
+        const stash = [];
+        const keep = (fragment) => {
+            stash.push(fragment);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
 
-        // Simulate real-time updates every 30 seconds
-        setInterval(() => {
-            // Simulate price fluctuations for each holding
-            this.portfolioHoldings.forEach(holding => {
-                const fluctuation = (Math.random() - 0.5) * 0.02; // ±1% price movement
-                holding.price *= (1 + fluctuation);
+        let html = Html.escape(text)
+            .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (_, alt, url, title) =>
+                keep(`<img src="${Html.safeUrl(url)}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`))
+            .replace(/\[\^([^\]]+)\]/g, (match, id) => {
+                if (!context.footnotes.has(id)) return match;
+                if (!context.footnoteOrder.includes(id)) context.footnoteOrder.push(id);
+                const number = context.footnoteOrder.indexOf(id) + 1;
+                const slug = Markdown.slugify(id);
+                return keep(`<sup class="footnote-ref"><a href="#fn-${slug}" id="fnref-${slug}">${number}</a></sup>`);
+            })
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => {
+                const href = Html.safeUrl(url);
+                const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener"' : '';
+                return `${keep(`<a href="${href}"${external}>`)}${label}${keep('</a>')}`;
             });
 
-            // Recalculate totals
-            totalValue = this.portfolioHoldings.reduce((sum, holding) => 
-                sum + (holding.shares * holding.price), 0);
-            change = totalValue - previousValue;
-            changePercent = (change / previousValue) * 100;
+        html = html
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
 
-            this.updatePortfolioDisplay(change, changePercent, totalValue);
-            this.updatePortfolioHoldings(totalValue);
-            
-            // Update chart data and redraw
-            chartData.push(totalValue);
-            if (chartData.length > 20) chartData.shift(); // Keep only last 20 points
-            this.drawPortfolioChart(chartData);
-        }, 30000);
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
     }
 
-    updatePortfolioHoldings(totalValue) {
-        const holdingsContainer = document.getElementById('portfolio-holdings');
-        if (!holdingsContainer) return;
-
-        // Filter holdings that account for >10% of portfolio
-        const keyHoldings = this.portfolioHoldings
-            .map(holding => ({
-                ...holding,
-                value: holding.shares * holding.price,
-                percentage: ((holding.shares * holding.price) / totalValue) * 100
-            }))
-            .filter(holding => holding.percentage > 10)
-            .sort((a, b) => b.percentage - a.percentage); // Sort by percentage descending
-
-        const holdingsHtml = keyHoldings.map(holding => `
-            <div class="key-holding-item">
-                <div class="holding-info">
-                    <div class="holding-symbol">${holding.symbol}</div>
-                    <div class="holding-name">${holding.name}</div>
-                </div>
-                <div class="holding-details">
-                    <div class="holding-value">$${holding.value.toFixed(2)}</div>
-                    <div class="holding-percentage">${holding.percentage.toFixed(1)}%</div>
+    static getEmbed(line) {
+        const youtube = line.match(/^https?:\/\/(?:www\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([\w-]{6,})\S*$/);
+        if (youtube) {
+            return `
+                <div class="post-embed">
+                    <iframe src="https://www.youtube.com/embed/${youtube[1]}" title="YouTube video" frameborder="0"
+                        allow="accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>
                 </div>
-            </div>
-        `).join('');
-
-        holdingsContainer.innerHTML = holdingsHtml;
+            `;
+        }
+        return null;
     }
 
-    generateMockChartData(startPrice, endPrice) {
-        const points = 20;
-        const data = [];
-        const step = (endPrice - startPrice) / points;
-        
-        for (let i = 0; i <= points; i++) {
-            const noise = (Math.random() - 0.5) * 2; // Add some randomness
-            data.push(startPrice + (step * i) + noise);
-        }
-        
-        return data;
+    static slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/<[^>]+>|&\w+;/g, '')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-');
     }
+}
 
-    updatePortfolioDisplay(change, changePercent, totalValue) {
-        const statusIndicator = document.getElementById('status-indicator');
-        const statusValue = document.getElementById('status-value');
-        const aaplValue = document.getElementById('aapl-value');
-        const totalValueEl = document.getElementById('total-value');
+// Site search. scripts/build-search.js turns the data files into data/search-index.json with
+// Search.buildIndex(); the overlay (HQVSite.setupSearch) answers queries against it with Search.query(),
+// so it runs entirely in the browser.
+class Search {
+    // A term found in several fields of a document counts for each of them
+    static FIELD_WEIGHTS = { title: 5, keywords: 3, summary: 2, body: 1 };
 
-        const isPositive = change >= 0;
-        
-        // Update status indicator
-        if (statusIndicator) {
-            statusIndicator.textContent = isPositive ? '▲' : '▼';
-            statusIndicator.className = `status-indicator ${isPositive ? 'positive' : 'negative'}`;
-        }
+    static GROUPS = { episode: 'Episodes', post: 'Articles', guest: 'Guests', team: 'Team' };
 
-        // Update status value
-        if (statusValue) {
-            const sign = isPositive ? '+' : '';
-            statusValue.textContent = `${sign}$${change.toFixed(2)} (${sign}${changePercent.toFixed(2)}%)`;
-            statusValue.className = `status-value ${isPositive ? 'positive' : 'negative'}`;
-        }
+    static STOPWORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'its',
+        'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with', 'll', 're', 've'
+    ]);
 
-        // Update holding value
-        if (aaplValue) {
-            aaplValue.textContent = `$${totalValue.toFixed(2)}`;
-        }
+    static WORD = /[\p{L}\p{N}]+/gu;
 
-        // Update total value
-        if (totalValueEl) {
-            totalValueEl.textContent = `$${totalValue.toFixed(2)}`;
-        }
+    // "Café" -> "cafe"
+    static normalize(text) {
+        return String(text ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
     }
 
-    drawPortfolioChart(data) {
-        const canvas = document.getElementById('portfolio-canvas');
-        if (!canvas) return;
-
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
-
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-
-        if (data.length < 2) return;
+    static tokenize(text) {
+        return (Search.normalize(text).match(/[a-z0-9]+/g) || [])
+            .filter(word => word.length > 1 && !Search.STOPWORDS.has(word));
+    }
 
-        // Find min/max for scaling
-        const minPrice = Math.min(...data);
-        const maxPrice = Math.max(...data);
-        const range = maxPrice - minPrice || 1;
+    // documents: [{ type, title, url, subtitle, external, fields: { title, keywords, summary, body } }]
+    // -> { documents: [{ type, title, url, subtitle, external, text }], terms: { term: [[document, weight], ...] } }
+    static buildIndex(documents) {
+        const terms = new Map();
 
-        // Set up drawing
-        ctx.strokeStyle = data[data.length - 1] >= data[0] ? '#00ff88' : '#ff4757';
-        ctx.lineWidth = 2;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
+        const entries = documents.map((document, index) => {
+            const weights = new Map();
+            Object.entries(Search.FIELD_WEIGHTS).forEach(([field, weight]) => {
+                new Set(Search.tokenize(document.fields[field])).forEach(term => {
+                    weights.set(term, (weights.get(term) || 0) + weight);
+                });
+            });
+            weights.forEach((weight, term) => {
+                if (!terms.has(term)) terms.set(term, []);
+                terms.get(term).push([index, weight]);
+            });
 
-        // Draw line
-        ctx.beginPath();
-        data.forEach((price, index) => {
-            const x = (index / (data.length - 1)) * width;
-            const y = height - ((price - minPrice) / range) * height;
-            
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
+            const text = [document.fields.summary, document.fields.body]
+                .filter(Boolean)
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            return {
+                type: document.type,
+                title: document.title,
+                url: document.url,
+                subtitle: document.subtitle || '',
+                external: Boolean(document.external),
+                text
+            };
         });
-        ctx.stroke();
 
-        // Fill area under curve
-        ctx.globalAlpha = 0.1;
-        ctx.fillStyle = ctx.strokeStyle;
-        ctx.lineTo(width, height);
-        ctx.lineTo(0, height);
-        ctx.fill();
-        ctx.globalAlpha = 1;
+        const sortedTerms = {};
+        [...terms.keys()].sort().forEach(term => {
+            sortedTerms[term] = terms.get(term);
+        });
+        return { documents: entries, terms: sortedTerms };
     }
 
-    async setupStockTicker() {
-        // Top stocks for the ticker - reduced to ~30 for better performance
-        const stocks = [
-            'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'TSLA', 'NVDA', 'META', 'NFLX', 
-            'JPM', 'BAC', 'V', 'MA', 'JNJ', 'UNH', 'PG', 'HD',
-            'WMT', 'DIS', 'KO', 'PEP', 'NKE', 'MCD', 'COST', 'SBUX',
-            'BA', 'CAT', 'XOM', 'CVX', 'SPY', 'QQQ'
-        ];
-
-        const stockTicker = document.getElementById('stock-ticker');
-        if (!stockTicker) return;
-
-        const tickerContent = stockTicker.querySelector('.ticker-content');
-        
-        // Start with immediate mock data so ticker begins scrolling right away
-        this.generateMockStockData(stocks, tickerContent);
-        
-        // Then fetch real data and replace it (async, non-blocking)
-        this.updateStockData(stocks, tickerContent);
-        
-        // Update every 2 minutes (to respect API rate limits)
-        setInterval(() => {
-            this.updateStockData(stocks, tickerContent);
-        }, 120000);
+    // Typos allowed before a query word stops matching: none for short words, where one edit is a different word
+    static maxTypos(word) {
+        if (word.length < 4) return 0;
+        return word.length < 8 ? 1 : 2;
     }
 
-    async updateStockData(stocks, tickerContent) {
-        try {
-            // Fetch real stock data using CORS proxy
-            const stockData = await this.fetchStockData(stocks);
-
-            const tickerItems = this.insertSponsorAds(stockData.map(stock => {
-                const isPositive = stock.change >= 0;
-                const sign = isPositive ? '+' : '';
-                const cssClass = isPositive ? 'ticker-item' : 'ticker-item negative';
-
-                return `<span class="${cssClass}">${stock.symbol} $${stock.price.toFixed(2)} ${sign}${stock.change.toFixed(2)} (${sign}${stock.changePercent.toFixed(2)}%)</span>`;
-            }));
-
-            if (tickerContent) {
-                const newContent = tickerItems.join('');
-                // Only update if content actually changed to avoid animation restart
-                if (tickerContent.innerHTML !== newContent) {
-                    // Store current animation state
-                    const computedStyle = window.getComputedStyle(tickerContent);
-                    const animationName = computedStyle.animationName;
-                    const animationDuration = computedStyle.animationDuration;
-                    const animationTimingFunction = computedStyle.animationTimingFunction;
-                    const animationIterationCount = computedStyle.animationIterationCount;
-                    const animationDelay = computedStyle.animationDelay;
-
-                    // Temporarily pause animation
-                    tickerContent.style.animationPlayState = 'paused';
-
-                    // Update content
-                    tickerContent.innerHTML = newContent;
-
-                    // Force reflow
-                    tickerContent.offsetHeight;
-
-                    // Resume animation
-                    tickerContent.style.animationPlayState = 'running';
+    // Optimal string alignment distance (a transposition counts as one edit), or max + 1 once it's exceeded
+    static editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
                 }
+                nextRow.push(distance);
+                rowMin = Math.min(rowMin, distance);
             }
-        } catch (error) {
-            console.error('Error updating stock data:', error);
-            // Fallback to mock data if API fails
-            this.generateMockStockData(stocks, tickerContent);
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
         }
+        return row[b.length];
     }
 
-    async fetchStockData(symbols) {
-        // Real Finnhub API key - will fallback to mock data if out of tokens or API fails
-        const API_KEY = 'd31lo2pr01qsprr1j1pgd31lo2pr01qsprr1j1q0';
+    // 1 for the word itself, less for a completion ("startu" -> "startup") or a near miss ("startpu")
+    static matchQuality(word, term) {
+        if (term === word) return 1;
+        if (term.startsWith(word)) return 0.8;
 
-        try {
-            const promises = symbols.map(async (symbol) => {
-                try {
-                    // Use CORS proxy to bypass browser CORS restrictions
-                    const response = await fetch(`https://api.allorigins.win/get?url=${encodeURIComponent(`https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${API_KEY}`)}`);
-
-                    if (response.ok) {
-                        const proxyData = await response.json();
-                        const apiResponse = JSON.parse(proxyData.contents);
-
-                        // Check if API returned valid data
-                        if (apiResponse.c && apiResponse.c > 0) {
-                            return {
-                                symbol,
-                                price: Number(apiResponse.c.toFixed(2)),
-                                change: Number((apiResponse.d || 0).toFixed(2)),
-                                changePercent: Number((apiResponse.dp || 0).toFixed(2))
-                            };
-                        } else {
-                            // API returned empty/invalid data, use mock
-                            console.warn(`Invalid data for ${symbol}, using mock data`);
-                            return this.getMockStockData(symbol);
-                        }
-                    } else {
-                        console.warn(`Proxy failed for ${symbol}, using mock data`);
-                        return this.getMockStockData(symbol);
-                    }
-                } catch (error) {
-                    // Network error or other issue, silently fallback to mock data
-                    console.warn(`Error fetching ${symbol}, using mock data:`, error.message);
-                    return this.getMockStockData(symbol);
-                }
+        const typos = Search.maxTypos(word);
+        if (typos === 0) return 0;
+        const distance = Search.editDistance(word, term, typos);
+        return distance <= typos ? 0.6 / distance : 0;
+    }
+
+    // -> [{ document, score, terms }], best first. Documents matching every query word win; when a
+    // typo leaves nothing matching all of them, the ones matching the most words are returned instead.
+    static query(index, text, limit = 20) {
+        const words = [...new Set(Search.tokenize(text))];
+        if (words.length === 0) return [];
+
+        const results = new Map();
+        words.forEach(word => {
+            const best = new Map();
+            Object.keys(index.terms).forEach(term => {
+                const quality = Search.matchQuality(word, term);
+                if (quality === 0) return;
+
+                index.terms[term].forEach(([document, weight]) => {
+                    const score = quality * weight;
+                    const current = best.get(document);
+                    if (!current || score > current.score) best.set(document, { score, terms: [term] });
+                    else if (score === current.score) current.terms.push(term);
+                });
             });
 
-            return Promise.all(promises);
-        } catch (error) {
-            // Fallback to all mock data if there's a general error
-            console.warn('General API error, using all mock data:', error.message);
-            return symbols.map(symbol => this.getMockStockData(symbol));
+            best.forEach(({ score, terms }, document) => {
+                if (!results.has(document)) results.set(document, { document: index.documents[document], score: 0, words: 0, terms: new Set() });
+                const result = results.get(document);
+                result.score += score;
+                result.words++;
+                terms.forEach(term => result.terms.add(term));
+            });
+        });
+
+        const matched = [...results.values()];
+        const mostWords = Math.max(0, ...matched.map(result => result.words));
+        return matched
+            .filter(result => result.words === mostWords)
+            .sort((a, b) => b.score - a.score || a.document.title.localeCompare(b.document.title))
+            .slice(0, limit)
+            .map(({ document, score, terms }) => ({ document, score, terms }));
+    }
+
+    // Wraps every word of text that normalizes to one of terms in <mark>
+    static highlight(text, terms) {
+        const parts = [];
+        let last = 0;
+        for (const match of String(text).matchAll(Search.WORD)) {
+            if (!terms.has(Search.normalize(match[0]))) continue;
+            parts.push(text.slice(last, match.index), html`<mark>${match[0]}</mark>`);
+            last = match.index + match[0].length;
         }
+        parts.push(String(text).slice(last));
+        return html`${parts}`;
     }
-    
-    getMockStockData(symbol) {
-        // Realistic base prices for fallback
-        const basePrices = {
-            'AAPL': 195, 'MSFT': 430, 'GOOGL': 175, 'AMZN': 185, 'TSLA': 245,
-            'NVDA': 950, 'META': 385, 'NFLX': 485, 'JPM': 165, 'BAC': 38,
-            'V': 285, 'MA': 450, 'JNJ': 165, 'UNH': 565, 'PG': 165,
-            'HD': 385, 'WMT': 175, 'DIS': 115, 'KO': 62, 'PEP': 175,
-            'NKE': 98, 'MCD': 295, 'COST': 785, 'SBUX': 108, 'BA': 185,
-            'CAT': 385, 'XOM': 120, 'CVX': 165, 'SPY': 515, 'QQQ': 435
-        };
 
-        const basePrice = basePrices[symbol] || 100;
-        // Smaller, more realistic daily changes
-        const change = (Math.random() - 0.5) * 6; // -$3 to +$3
-        const changePercent = (change / basePrice) * 100;
+    // About `length` characters of text around the first matched word, highlighted
+    static snippet(text, terms, length = 160) {
+        let start = 0;
+        for (const match of text.matchAll(Search.WORD)) {
+            if (terms.has(Search.normalize(match[0]))) {
+                start = Math.max(0, match.index - Math.floor(length / 3));
+                break;
+            }
+        }
 
-        return {
-            symbol,
-            price: Number((basePrice + change).toFixed(2)),
-            change: Number(change.toFixed(2)),
-            changePercent: Number(changePercent.toFixed(2))
-        };
+        // Cut at spaces so no word is chopped in half
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + length);
+        if (end < text.length) end = Math.max(text.lastIndexOf(' ', end), start + 1);
+
+        return html`${start > 0 ? '…' : ''}${Search.highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
     }
+}
 
-    generateMockStockData(stocks, tickerContent) {
-        const tickerItems = stocks.map(symbol => {
-            const basePrice = Math.random() * 500 + 50;
-            const change = (Math.random() - 0.5) * 20;
-            const percentChange = (change / basePrice) * 100;
-            const isPositive = change >= 0;
-            const sign = isPositive ? '+' : '';
-            const cssClass = isPositive ? 'ticker-item' : 'ticker-item negative';
+// Market data provider layer
+// Providers: "finnhub" (batched through the /api/quotes serverless function), "snapshot" (static JSON) and "mock".
+// Quotes carry `delayed`/`simulated` flags so the UI can say where a price came from.
+class MarketData {
+    constructor(options = {}, { mock } = {}) {
+        this.provider = options.provider || 'mock';
+        this.fallback = options.fallback === undefined ? 'mock' : options.fallback;
+        this.endpoint = options.endpoint || '/api/quotes';
+        this.snapshotUrl = options.snapshot_url || '/data/quotes.json';
+        this.ttl = (options.ttl_seconds || 120) * 1000;
+        this.mock = mock;
+        this.cache = new Map();
+        this.pending = new Map();
+    }
 
-            return `<span class="${cssClass}">${symbol} $${basePrice.toFixed(2)} ${sign}${change.toFixed(2)} (${sign}${percentChange.toFixed(2)}%)</span>`;
+    async getQuotes(symbols) {
+        const now = Date.now();
+        const stale = symbols.filter(symbol => {
+            const entry = this.cache.get(symbol);
+            return (!entry || entry.expires <= now) && !this.pending.has(symbol);
         });
 
-        const tickerItemsWithAds = this.insertSponsorAds(tickerItems);
+        // One batched request for everything stale; concurrent callers share it
+        if (stale.length > 0) {
+            const request = this.refresh(stale);
+            stale.forEach(symbol => this.pending.set(symbol, request));
+            request.then(() => stale.forEach(symbol => this.pending.delete(symbol)));
+        }
+
+        await Promise.all([...new Set(symbols.map(symbol => this.pending.get(symbol)).filter(Boolean))]);
 
-        if (tickerContent) {
-            const newContent = tickerItemsWithAds.join('');
-            // Only update if content actually changed to avoid animation restart
-            if (tickerContent.innerHTML !== newContent) {
-                // Temporarily pause animation
-                tickerContent.style.animationPlayState = 'paused';
+        return symbols
+            .map(symbol => this.cache.get(symbol)?.quote)
+            .filter(Boolean);
+    }
 
-                // Update content
-                tickerContent.innerHTML = newContent;
+    async refresh(symbols) {
+        let quotes = [];
+        try {
+            quotes = await this.fetchFrom(this.provider, symbols);
+        } catch (error) {
+            console.warn(`Market data provider "${this.provider}" failed:`, error.message);
+        }
 
-                // Force reflow
-                tickerContent.offsetHeight;
+        const found = new Set(quotes.map(quote => quote.symbol));
+        const missing = symbols.filter(symbol => !found.has(symbol));
 
-                // Resume animation
-                tickerContent.style.animationPlayState = 'running';
+        if (missing.length > 0 && this.fallback && this.fallback !== this.provider) {
+            console.warn(`No ${this.provider} quotes for ${missing.join(', ')}; using ${this.fallback}`);
+            try {
+                quotes = quotes.concat(await this.fetchFrom(this.fallback, missing));
+            } catch (error) {
+                console.warn(`Market data fallback "${this.fallback}" failed:`, error.message);
             }
         }
+
+        const now = Date.now();
+        quotes.forEach(quote => {
+            // Retry real data sooner when we had to fall back
+            const ttl = quote.simulated ? Math.min(this.ttl, 30000) : this.ttl;
+            this.cache.set(quote.symbol, { quote, expires: now + ttl });
+        });
     }
 
-    insertSponsorAds(stockItems) {
-        const sponsorAds = [
-            '🚀 Lockheed Martin - Advancing Defense Technology',
-            '⚡ Raytheon - Innovation in Aerospace & Defense',
-            '🎯 Boeing - Connecting the World Through Aerospace',
-            '🔮 Palantir - Data-Driven Intelligence Solutions',
-            '🛡️ Department of Defense - Protecting Our Nation',
-            '⭐ Northrop Grumman - Defining the Future of Defense',
-            '🚬 Marlboro - The Taste of Freedom',
-            '💨 Juul - Vapor Technology Innovation'
-        ];
+    async fetchFrom(provider, symbols) {
+        switch (provider) {
+            case 'finnhub':
+                return this.fetchFinnhub(symbols);
+            case 'snapshot':
+                return this.fetchSnapshot(symbols);
+            case 'mock':
+                return this.fetchMock(symbols);
+            default:
+                throw new Error(`Unknown market data provider "${provider}"`);
+        }
+    }
 
-        const result = [];
-        stockItems.forEach((item, index) => {
-            result.push(item);
+    async fetchFinnhub(symbols) {
+        const response = await fetch(`${this.endpoint}?symbols=${encodeURIComponent(symbols.join(','))}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.quotes || []).map(quote => ({ ...quote, source: 'finnhub', delayed: false, simulated: false }));
+    }
 
-            // Insert sponsor ad after every 10 stocks
-            if ((index + 1) % 10 === 0) {
-                const randomAd = sponsorAds[Math.floor(Math.random() * sponsorAds.length)];
-                result.push(`<span class="ticker-item sponsor-ad">${randomAd}</span>`);
-            }
-        });
+    async fetchSnapshot(symbols) {
+        const response = await fetch(this.snapshotUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        return symbols
+            .filter(symbol => data.quotes && data.quotes[symbol])
+            .map(symbol => ({
+                symbol,
+                ...data.quotes[symbol],
+                source: 'snapshot',
+                asOf: data.as_of,
+                delayed: true,
+                simulated: false
+            }));
+    }
 
-        return result;
+    async fetchMock(symbols) {
+        if (!this.mock) return [];
+        return symbols.map(symbol => ({ ...this.mock(symbol), source: 'mock', delayed: false, simulated: true }));
     }
+}
 
-    setupInfohubScrolling() {
-        // Synchronized scrolling - infohub scrolls when user scrolls anywhere on page
-        const infoColumn = document.querySelector('.info-column');
-        if (!infoColumn) return;
+// Recording schedule for live mode
+// Weekly slots ({ day, start, duration_minutes, timezone }) and one-offs ({ start: "YYYY-MM-DDTHH:MM", ... })
+// are wall-clock times in their own IANA timezone, so shows stay put across DST changes.
+class LiveSchedule {
+    static DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    static formatters = new Map();
+
+    constructor(options = {}) {
+        this.timezone = options.timezone || 'UTC';
+        this.durationMinutes = options.duration_minutes || 60;
+        this.weekly = options.schedule || [];
+        this.oneOffs = options.one_offs || [];
+    }
 
-        const videoContainer = document.querySelector('.hero-video-container');
-        let overlay = null;
-        let wheelEventListeners = [];
-
-        if (videoContainer) {
-            // Make sure the video container is relatively positioned
-            if (getComputedStyle(videoContainer).position === 'static') {
-                videoContainer.style.position = 'relative';
-            }
-
-            function createOverlay() {
-                if (overlay) return; // Already exists
-
-                // Create a transparent overlay over the video
-                overlay = document.createElement('div');
-                overlay.style.cssText = `
-                    position: absolute;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    z-index: 10;
-                    pointer-events: auto;
-                    background: transparent;
-                `;
-                overlay.className = 'video-scroll-overlay';
-
-                videoContainer.appendChild(overlay);
-
-                // Add wheel listener to the overlay
-                const wheelHandler = (event) => {
-                    event.preventDefault();
-
-                    // Check if infohub has scrollable content
-                    const infoScrollHeight = infoColumn.scrollHeight - infoColumn.clientHeight;
-                    if (infoScrollHeight <= 0) return;
-
-                    // Scroll the infohub
-                    const scrollAmount = event.deltaY;
-                    const currentScrollTop = infoColumn.scrollTop;
-                    const newScrollTop = Math.max(0, Math.min(currentScrollTop + scrollAmount, infoScrollHeight));
-
-                    infoColumn.scrollTop = newScrollTop;
-                };
+    // { live, current, next } where current/next are { title, start, end } with Date bounds
+    status(now = new Date()) {
+        const shows = this.showsAround(now);
+        const current = shows.find(show => show.start <= now && now < show.end) || null;
+        const next = shows.filter(show => show.start > now).sort((a, b) => a.start - b.start)[0] || null;
+        return { live: Boolean(current), current, next };
+    }
 
-                overlay.addEventListener('wheel', wheelHandler, { passive: false });
-                wheelEventListeners.push({ element: overlay, handler: wheelHandler });
+    // Every occurrence from yesterday to a week out, which covers any weekly slot
+    showsAround(now) {
+        const shows = [];
+
+        this.weekly.forEach(slot => {
+            const timezone = slot.timezone || this.timezone;
+            const day = LiveSchedule.DAYS.indexOf(String(slot.day).toLowerCase());
+            const [hour, minute] = String(slot.start).split(':').map(Number);
+            if (day === -1 || Number.isNaN(hour)) return;
+
+            const today = LiveSchedule.zonedParts(now, timezone);
+            for (let offset = -1; offset <= 7; offset++) {
+                const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+                if (date.getUTCDay() !== day) continue;
+
+                const start = LiveSchedule.zonedTimeToDate({
+                    year: date.getUTCFullYear(),
+                    month: date.getUTCMonth() + 1,
+                    day: date.getUTCDate(),
+                    hour,
+                    minute: minute || 0
+                }, timezone);
+                shows.push(this.createShow(slot, start));
             }
+        });
 
-            function removeOverlay() {
-                if (overlay) {
-                    overlay.remove();
-                    overlay = null;
-                }
-            }
+        this.oneOffs.forEach(show => {
+            const match = String(show.start).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+            if (!match) return;
 
-            function updateOverlayVisibility() {
-                const isMobile = window.innerWidth <= 768;
+            const [year, month, day, hour, minute] = match.slice(1).map(Number);
+            const start = LiveSchedule.zonedTimeToDate({ year, month, day, hour, minute }, show.timezone || this.timezone);
+            shows.push(this.createShow(show, start));
+        });
 
-                if (isMobile) {
-                    removeOverlay();
-                } else {
-                    createOverlay();
-                }
-            }
+        return shows;
+    }
 
-            // Initial setup
-            updateOverlayVisibility();
+    createShow(entry, start) {
+        const minutes = entry.duration_minutes || this.durationMinutes;
+        return {
+            title: entry.title || 'Live show',
+            start,
+            end: new Date(start.getTime() + minutes * 60 * 1000)
+        };
+    }
 
-            // Listen for window resize to toggle overlay
-            window.addEventListener('resize', updateOverlayVisibility);
+    static zonedParts(date, timezone) {
+        if (!LiveSchedule.formatters.has(timezone)) {
+            LiveSchedule.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
         }
 
-        // Document wheel listener - also needs to be responsive
-        let documentWheelHandler = null;
+        const parts = {};
+        LiveSchedule.formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return parts;
+    }
 
-        function addDocumentWheelListener() {
-            if (documentWheelHandler) return; // Already added
+    // Wall-clock time in `timezone` -> Date, correcting once more for a DST change between guess and result
+    static zonedTimeToDate({ year, month, day, hour, minute }, timezone) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        const offsetAt = time => {
+            const parts = LiveSchedule.zonedParts(new Date(time), timezone);
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+        };
 
-            documentWheelHandler = (event) => {
-                const isOverInfohub = infoColumn.contains(event.target);
-                const isOverVideo = videoContainer && videoContainer.contains(event.target);
+        let time = wallClock - offsetAt(wallClock);
+        time = wallClock - offsetAt(time);
+        return new Date(time);
+    }
+}
 
-                // Only handle if not over infohub (let infohub handle its own scrolling)
-                if (!isOverInfohub && !isOverVideo) {
-                    event.preventDefault();
+// Cookieless first-party analytics
+// Page views and events are queued and sent in batches to config.analytics.endpoint (api/collect.js)
+// with navigator.sendBeacon, so the last events still arrive when the page unloads. Nothing
+// identifies the visitor, and nothing is sent when the browser asks not to be tracked.
+class Analytics {
+    static BATCH_SIZE = 10;
+    static FLUSH_DELAY = 5000;
+
+    static endpoint = '/api/collect';
+    static enabled = true;
+    static queue = [];
+    static flushTimer = null;
+    static listening = false;
+
+    static configure(options = {}) {
+        if (options.endpoint) Analytics.endpoint = options.endpoint;
+        if (options.enabled === false) {
+            Analytics.enabled = false;
+            Analytics.queue = [];
+        }
+    }
 
-                    const infoScrollHeight = infoColumn.scrollHeight - infoColumn.clientHeight;
-                    if (infoScrollHeight > 0) {
-                        const scrollAmount = event.deltaY;
-                        const currentScrollTop = infoColumn.scrollTop;
-                        const newScrollTop = Math.max(0, Math.min(currentScrollTop + scrollAmount, infoScrollHeight));
-                        infoColumn.scrollTop = newScrollTop;
-                    }
-                }
-            };
+    static isAllowed() {
+        if (!Analytics.enabled || typeof navigator === 'undefined') return false;
+        return navigator.doNotTrack !== '1' && window.doNotTrack !== '1' && !navigator.globalPrivacyControl;
+    }
 
-            document.addEventListener('wheel', documentWheelHandler, { passive: false });
-        }
+    static trackEvent(category, action, label = null) {
+        Analytics.enqueue({ type: 'event', category, action, label: label === null ? null : String(label) });
+    }
 
-        function removeDocumentWheelListener() {
-            if (documentWheelHandler) {
-                document.removeEventListener('wheel', documentWheelHandler);
-                documentWheelHandler = null;
-            }
-        }
+    static trackPageView(page = null) {
+        Analytics.enqueue({ type: 'pageview', path: page || window.location.pathname, referrer: document.referrer || null });
+    }
 
-        function updateDocumentWheelListener() {
-            const isMobile = window.innerWidth <= 768;
+    static enqueue(event) {
+        if (!Analytics.isAllowed()) return;
 
-            if (isMobile) {
-                removeDocumentWheelListener();
-            } else {
-                addDocumentWheelListener();
-            }
-        }
+        Analytics.queue.push({ path: window.location.pathname, ...event });
+        Analytics.listen();
 
-        // Initial setup
-        updateDocumentWheelListener();
+        if (Analytics.queue.length >= Analytics.BATCH_SIZE) {
+            Analytics.flush();
+        } else if (!Analytics.flushTimer) {
+            Analytics.flushTimer = setTimeout(() => Analytics.flush(), Analytics.FLUSH_DELAY);
+        }
+    }
 
-        // Listen for window resize to toggle document wheel listener
-        window.addEventListener('resize', updateDocumentWheelListener);
+    static listen() {
+        if (Analytics.listening) return;
+        Analytics.listening = true;
 
-        // Remove smooth scroll behavior for immediate response
-        infoColumn.style.scrollBehavior = 'auto';
+        // pagehide also covers pages going into the back/forward cache, which never unload
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') Analytics.flush();
+        });
+        window.addEventListener('pagehide', () => Analytics.flush());
     }
 
-    setupSponsorCarousel() {
-        const sponsorsTrack = document.querySelector('.sponsors-track');
-        if (!sponsorsTrack) return;
+    static flush() {
+        clearTimeout(Analytics.flushTimer);
+        Analytics.flushTimer = null;
+        if (Analytics.queue.length === 0) return;
 
-        // Ensure smooth animation by pausing and restarting when needed
-        sponsorsTrack.addEventListener('animationiteration', () => {
-            // Reset transform to prevent accumulating transforms
-            sponsorsTrack.style.transform = 'translateX(0)';
+        const body = JSON.stringify({ events: Analytics.queue.splice(0) });
+        try {
+            if (navigator.sendBeacon && navigator.sendBeacon(Analytics.endpoint, new Blob([body], { type: 'application/json' }))) return;
+        } catch (error) {
+            // Some browsers refuse beacons (e.g. over the size limit); fall through to fetch
+        }
+
+        fetch(Analytics.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {
+            // Analytics are best-effort
         });
+    }
+}
 
-        // Add CSS to ensure smooth animation
-        sponsorsTrack.style.willChange = 'transform';
-        sponsorsTrack.style.backfaceVisibility = 'hidden';
-        sponsorsTrack.style.perspective = '1000px';
+// Episode audio saved for offline listening; sw.js answers <audio> requests from the same cache
+class OfflineAudio {
+    static CACHE = 'hqv-audio';
+
+    static isSupported() {
+        return typeof caches !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
     }
 
-}
+    static async has(url) {
+        if (!OfflineAudio.isSupported()) return false;
+        const cache = await caches.open(OfflineAudio.CACHE);
+        return Boolean(await cache.match(url, { ignoreVary: true }));
+    }
 
-// Analytics and tracking
-class Analytics {
-    static trackEvent(category, action, label = null) {
-        // Google Analytics 4 tracking
-        if (typeof gtag !== 'undefined') {
-            gtag('event', action, {
-                event_category: category,
-                event_label: label
-            });
+    static async save(url) {
+        // A CORS response can be read back and sliced into byte ranges; an opaque one can't
+        const response = await fetch(url, { mode: 'cors' });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        // Alternative analytics tracking can be added here
-        console.log(`Analytics: ${category} - ${action}${label ? ` - ${label}` : ''}`);
-    }
+        const cache = await caches.open(OfflineAudio.CACHE);
+        await cache.put(url, response);
 
-    static trackPageView(page = null) {
-        const currentPage = page || window.location.pathname;
-        
-        if (typeof gtag !== 'undefined') {
-            gtag('config', 'GA_MEASUREMENT_ID', {
-                page_path: currentPage
-            });
+        // Ask the browser not to evict the download under storage pressure
+        if (navigator.storage?.persist) {
+            navigator.storage.persist().catch(() => {});
         }
+    }
 
-        console.log(`Page view: ${currentPage}`);
+    static async remove(url) {
+        const cache = await caches.open(OfflineAudio.CACHE);
+        return cache.delete(url, { ignoreVary: true });
     }
 }
 
@@ -864,7 +4376,7 @@ function setupSmoothScroll() {
 
 // Platform link tracking
 function setupPlatformTracking() {
-    document.querySelectorAll('.platform-link').forEach(link => {
+    document.querySelectorAll('.platform-link, .platform-btn').forEach(link => {
         link.addEventListener('click', (e) => {
             const platform = e.currentTarget.dataset.platform;
             Analytics.trackEvent('Subscribe', 'Platform Click', platform);
@@ -872,8 +4384,8 @@ function setupPlatformTracking() {
     });
 }
 
-// Initialize everything when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize everything when DOM is loaded (the build scripts load this file in Node, where there's no document)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
     // Initialize main site functionality
     window.hqvSite = new HQVSite();
     
@@ -892,36 +4404,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 100);
 });
 
-// Service Worker registration removed to eliminate 404 errors
-// Can be re-enabled when sw.js file is created
-
-// Newsletter subscription function
-function subscribeToNewsletter() {
-    const emailInput = document.getElementById('newsletter-email');
-    const email = emailInput.value.trim();
-    
-    if (!email) {
-        alert('Please enter your email address');
-        return;
-    }
-    
-    if (!email.includes('@')) {
-        alert('Please enter a valid email address');
-        return;
-    }
-    
-    // Open beehiiv subscription page with email pre-filled if possible
-    const subscribeUrl = `https://in-competence-we-trust.beehiiv.com/subscribe?email=${encodeURIComponent(email)}`;
-    window.open(subscribeUrl, '_blank');
-    
-    // Clear the input
-    emailInput.value = '';
-    
-    // Track subscription attempt
-    Analytics.trackEvent('Newsletter', 'Subscribe Attempt', email);
+// Offline support and installability (see sw.js); file:// previews and older browsers go without
+if (typeof window !== 'undefined' && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    });
 }
 
 // Export for use in other scripts if needed
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { HQVSite, Analytics };
+    module.exports = { HQVSite, Layout, Markdown, Search, MarketData, LiveSchedule, Analytics, OfflineAudio };
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Podcast Feed Builder
+ * Generates /feed.xml (RSS 2.0 + iTunes + Podcasting 2.0) from data/episodes.json and data/config.json
+ *
+ * Usage: node scripts/build-feed.js
+ * Exits with a non-zero status if any required field is missing so the deploy fails loudly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'feed.xml');
+
+const AUDIO_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/x-m4a',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav'
+};
+
+const TRANSCRIPT_TYPES = {
+    '.txt': 'text/plain',
+    '.vtt': 'text/vtt',
+    '.srt': 'application/x-subrip',
+    '.html': 'text/html',
+    '.json': 'application/json'
+};
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(siteUrl, url) {
+    if (/^https?:\/\//.test(url)) return encodeURI(decodeURI(url));
+    return siteUrl.replace(/\/$/, '') + encodeURI(url.startsWith('/') ? url : `/${url}`);
+}
+
+function extensionOf(url) {
+    return path.extname(new URL(url, 'https://example.com').pathname).toLowerCase();
+}
+
+// "52:34" or "1:02:03" -> total seconds
+function durationToSeconds(duration) {
+    return String(duration)
+        .split(':')
+        .reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function validate(config, episodes) {
+    const errors = [];
+    const podcast = config.podcast || {};
+
+    const requiredConfig = {
+        site_url: config.site_url,
+        'podcast.title': podcast.title,
+        'podcast.description': podcast.description,
+        'podcast.author': podcast.author,
+        'podcast.owner_email': podcast.owner_email,
+        'podcast.image': podcast.image,
+        'podcast.language': podcast.language,
+        'podcast.category': podcast.category
+    };
+
+    Object.entries(requiredConfig).forEach(([field, value]) => {
+        if (!value) errors.push(`data/config.json: missing "${field}"`);
+    });
+
+    if (typeof podcast.explicit !== 'boolean') {
+        errors.push('data/config.json: "podcast.explicit" must be true or false');
+    }
+
+    const requiredEpisode = ['id', 'number', 'title', 'description', 'date', 'duration', 'audio_url'];
+    const seenIds = new Set();
+
+    episodes.forEach((episode, index) => {
+        const label = `data/episodes.json: episode ${episode.id || `#${index + 1}`}`;
+
+        requiredEpisode.forEach(field => {
+            if (!episode[field]) errors.push(`${label}: missing "${field}"`);
+        });
+
+        if (episode.id && seenIds.has(episode.id)) {
+            errors.push(`${label}: duplicate id`);
+        }
+        seenIds.add(episode.id);
+
+        if (episode.date && Number.isNaN(new Date(episode.date).getTime())) {
+            errors.push(`${label}: invalid date "${episode.date}"`);
+        }
+
+        if (episode.duration && !/^(\d+:)?\d{1,2}:\d{2}$/.test(episode.duration)) {
+            errors.push(`${label}: duration "${episode.duration}" must be MM:SS or HH:MM:SS`);
+        }
+
+        if (episode.audio_url && !AUDIO_TYPES[extensionOf(episode.audio_url)]) {
+            errors.push(`${label}: unsupported audio type for "${episode.audio_url}"`);
+        }
+
+        // Directories reject or demote enclosures without a real length
+        if (!Number.isInteger(episode.audio_bytes) || episode.audio_bytes <= 0) {
+            errors.push(`${label}: "audio_bytes" must be the audio file's size in bytes`);
+        }
+    });
+
+    return errors;
+}
+
+function buildItem(episode, config) {
+    const podcast = config.podcast;
+    const audioType = AUDIO_TYPES[extensionOf(episode.audio_url)];
+    const episodeNumber = parseInt(episode.number, 10);
+    const link = absoluteUrl(config.site_url, `/episodes/${episodeNumber}`);
+    const lines = [
+        '    <item>',
+        `      <title>${escapeXml(episode.title)}</title>`,
+        `      <description>${escapeXml(episode.show_notes || episode.description)}</description>`,
+        `      <link>${escapeXml(link)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(episode.id)}</guid>`,
+        `      <pubDate>${new Date(`${episode.date}T12:00:00Z`).toUTCString()}</pubDate>`,
+        `      <enclosure url="${escapeXml(episode.audio_url)}" length="${episode.audio_bytes}" type="${audioType}"/>`,
+        `      <itunes:title>${escapeXml(episode.title)}</itunes:title>`,
+        `      <itunes:summary>${escapeXml(episode.description)}</itunes:summary>`,
+        `      <itunes:duration>${durationToSeconds(episode.duration)}</itunes:duration>`,
+        `      <itunes:episode>${episodeNumber}</itunes:episode>`,
+        '      <itunes:episodeType>full</itunes:episodeType>',
+        `      <itunes:explicit>${podcast.explicit ? 'true' : 'false'}</itunes:explicit>`
+    ];
+
+    if (episode.transcript_url) {
+        const transcriptType = TRANSCRIPT_TYPES[extensionOf(episode.transcript_url)] || 'text/plain';
+        lines.push(`      <podcast:transcript url="${escapeXml(episode.transcript_url)}" type="${transcriptType}"/>`);
+    }
+
+    if (episode.guest) {
+        lines.push(`      <podcast:person role="guest">${escapeXml(episode.guest)}</podcast:person>`);
+    }
+
+    lines.push('    </item>');
+    return lines.join('\n');
+}
+
+function buildFeed(config, episodes) {
+    const podcast = config.podcast;
+    const siteUrl = config.site_url.replace(/\/$/, '');
+    const imageUrl = absoluteUrl(siteUrl, podcast.image);
+
+    const sorted = [...episodes].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const lastBuild = sorted.length > 0 ? new Date(`${sorted[0].date}T12:00:00Z`) : new Date();
+
+    const category = podcast.subcategory
+        ? `    <itunes:category text="${escapeXml(podcast.category)}">\n      <itunes:category text="${escapeXml(podcast.subcategory)}"/>\n    </itunes:category>`
+        : `    <itunes:category text="${escapeXml(podcast.category)}"/>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"
+  xmlns:podcast="https://podcastindex.org/namespace/1.0"
+  xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(podcast.title)}</title>
+    <link>${escapeXml(siteUrl)}/</link>
+    <description>${escapeXml(podcast.description)}</description>
+    <language>${escapeXml(podcast.language)}</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(siteUrl)}/feed.xml" rel="self" type="application/rss+xml"/>
+    <image>
+      <url>${escapeXml(imageUrl)}</url>
+      <title>${escapeXml(podcast.title)}</title>
+      <link>${escapeXml(siteUrl)}/</link>
+    </image>
+    <itunes:author>${escapeXml(podcast.author)}</itunes:author>
+    <itunes:summary>${escapeXml(podcast.description)}</itunes:summary>
+    <itunes:image href="${escapeXml(imageUrl)}"/>
+    <itunes:explicit>${podcast.explicit ? 'true' : 'false'}</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+    <itunes:owner>
+      <itunes:name>${escapeXml(podcast.owner_name || podcast.author)}</itunes:name>
+      <itunes:email>${escapeXml(podcast.owner_email)}</itunes:email>
+    </itunes:owner>
+${category}
+    <podcast:locked>no</podcast:locked>
+${sorted.map(episode => buildItem(episode, config)).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function main() {
+    const config = readJson('data/config.json');
+    const { episodes = [] } = readJson('data/episodes.json');
+
+    const errors = validate(config, episodes);
+    if (errors.length > 0) {
+        console.error(`Feed build failed with ${errors.length} error${errors.length === 1 ? '' : 's'}:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    fs.writeFileSync(OUTPUT, buildFeed(config, episodes));
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)} with ${episodes.length} episodes`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildFeed, validate, durationToSeconds, escapeXml, absoluteUrl };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Search Index Builder
+ * Generates data/search-index.json from data/episodes.json, data/posts.json (plus posts/*.md for
+ * local articles) and data/team.json, for the search overlay in scripts/app.js ("/" or Cmd-K).
+ *
+ * Usage: node scripts/build-search.js
+ * Tokenizing and the index format live in the Search class in scripts/app.js, so the browser
+ * reads queries exactly the way this script read the content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HQVSite, Search } = require('./app.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'search-index.json');
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// Markdown source -> plain text; only the words matter, so syntax and bare embed URLs are dropped
+function markdownToText(source) {
+    return source
+        .replace(/^\s*https?:\/\/\S+\s*$/gm, '')
+        .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/^\[\^[^\]]+\]:\s*/gm, '')
+        .replace(/\[\^[^\]]+\]/g, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_`~]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function readPostBody(post) {
+    const file = path.join(ROOT, 'posts', `${post.slug}.md`);
+    return !post.url && fs.existsSync(file) ? markdownToText(fs.readFileSync(file, 'utf8')) : '';
+}
+
+function episodeDocuments(site) {
+    return site.episodes.map(episode => ({
+        type: 'episode',
+        title: episode.title,
+        url: site.getEpisodeUrl(episode),
+        subtitle: [`Episode ${episode.number}`, episode.guest].filter(Boolean).join(' · '),
+        fields: {
+            title: `${episode.title} ${episode.number}`,
+            keywords: [...(episode.topics || []), episode.guest, episode.guest_title].filter(Boolean).join(' '),
+            summary: episode.description,
+            body: episode.show_notes
+        }
+    }));
+}
+
+function postDocuments(site) {
+    return site.posts.map(post => ({
+        type: 'post',
+        title: post.title,
+        url: site.getPostUrl(post),
+        subtitle: [post.category, post.author].filter(Boolean).join(' · '),
+        external: Boolean(post.url),
+        fields: {
+            title: post.title,
+            keywords: [...(post.tags || []), post.category, post.author].filter(Boolean).join(' '),
+            summary: post.excerpt,
+            body: [post.content, readPostBody(post)].filter(Boolean).join(' ')
+        }
+    }));
+}
+
+function guestDocuments(site) {
+    return site.getGuests().map(guest => ({
+        type: 'guest',
+        title: guest.name,
+        url: `/guests.html#guest-${guest.slug}`,
+        subtitle: guest.title,
+        fields: {
+            title: guest.name,
+            keywords: guest.title,
+            summary: guest.episodes.map(episode => `Ep. ${episode.number}: ${episode.title}`).join('. '),
+            body: ''
+        }
+    }));
+}
+
+function teamDocuments(members) {
+    return members.map(member => ({
+        type: 'team',
+        title: member.name,
+        url: `/team.html#${member.id}`,
+        subtitle: member.role,
+        fields: {
+            title: member.name,
+            keywords: member.role,
+            summary: member.bio,
+            body: ''
+        }
+    }));
+}
+
+function buildSearchIndex({ episodes, posts, members }) {
+    const site = new HQVSite({ autoInit: false });
+    site.episodes = episodes;
+    site.posts = posts.filter(post => post.published);
+
+    return Search.buildIndex([
+        ...episodeDocuments(site),
+        ...postDocuments(site),
+        ...guestDocuments(site),
+        ...teamDocuments(members)
+    ]);
+}
+
+// Also called by scripts/dev-server.js, since the index is generated rather than committed
+function writeSearchIndex() {
+    const index = buildSearchIndex({
+        episodes: readJson('data/episodes.json').episodes || [],
+        posts: readJson('data/posts.json').posts || [],
+        members: readJson('data/team.json').members || []
+    });
+
+    fs.writeFileSync(OUTPUT, `${JSON.stringify(index)}\n`);
+    return index;
+}
+
+function main() {
+    const index = writeSearchIndex();
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)} with ${index.documents.length} documents and ${Object.keys(index.terms).length} terms`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildSearchIndex, markdownToText, writeSearchIndex };
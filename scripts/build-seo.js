@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * SEO Builder
+ * Generates /sitemap.xml and /robots.txt for config.site_url, and the Open Graph, Twitter and
+ * JSON-LD tags that scripts/build-static.js injects into every pre-rendered page.
+ *
+ * Usage: node scripts/build-seo.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { durationToSeconds, escapeXml, absoluteUrl } = require('./build-feed.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Rewrite targets, error and offline pages and the private analytics dashboard, never listed or indexed on their own
+const TEMPLATES = new Set(['404.html', 'analytics.html', 'episode.html', 'offline.html', 'post.html']);
+
+// Listing pages take their lastmod from the newest item they show
+const LASTMOD_SOURCES = {
+    'index.html': 'all',
+    'more.html': 'all',
+    'episodes.html': 'episodes',
+    'guests.html': 'episodes',
+    'blog.html': 'posts'
+};
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// "about.html" -> "/about", matching cleanUrls in vercel.json
+function pagePath(file) {
+    return file === 'index.html' ? '/' : `/${file.replace(/\.html$/, '')}`;
+}
+
+function newestDate(items) {
+    return items.map(item => item.updated || item.date).filter(Boolean).sort().pop();
+}
+
+function sitePages() {
+    return fs.readdirSync(ROOT)
+        .filter(name => name.endsWith('.html') && !TEMPLATES.has(name))
+        .sort((a, b) => (a === 'index.html' ? -1 : b === 'index.html' ? 1 : a.localeCompare(b)));
+}
+
+function buildSitemap(config, episodes, posts, pages = sitePages()) {
+    const lastmods = {
+        episodes: newestDate(episodes),
+        posts: newestDate(posts),
+        all: newestDate([...episodes, ...posts])
+    };
+
+    const entries = [
+        ...pages.map(file => ({
+            loc: pagePath(file),
+            lastmod: lastmods[LASTMOD_SOURCES[file]],
+            priority: file === 'index.html' ? '1.0' : LASTMOD_SOURCES[file] ? '0.8' : '0.5'
+        })),
+        ...episodes.map(episode => ({
+            loc: `/episodes/${parseInt(episode.number, 10)}`,
+            lastmod: episode.updated || episode.date,
+            priority: '0.6'
+        })),
+        // External articles live on another site
+        ...posts.filter(post => !post.url).map(post => ({
+            loc: `/blog/${post.slug}`,
+            lastmod: post.updated || post.date,
+            priority: '0.6'
+        }))
+    ];
+
+    const urls = entries.map(entry => [
+        '  <url>',
+        `    <loc>${escapeXml(absoluteUrl(config.site_url, entry.loc))}</loc>`,
+        entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+        `    <priority>${entry.priority}</priority>`,
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function buildRobots(config) {
+    return `User-agent: *
+Allow: /
+Disallow: /api/
+Disallow: /analytics
+
+Sitemap: ${absoluteUrl(config.site_url, '/sitemap.xml')}
+`;
+}
+
+// "52:34" -> "PT52M34S"
+function isoDuration(duration) {
+    const seconds = durationToSeconds(duration);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds % 60}S`;
+}
+
+// Local images are only used if they exist, so unfurlers never get a 404
+function imageUrl(config, image) {
+    const local = image && !/^https?:\/\//.test(image);
+    if (image && (!local || fs.existsSync(path.join(ROOT, image)))) {
+        return absoluteUrl(config.site_url, image);
+    }
+    return absoluteUrl(config.site_url, config.podcast.image);
+}
+
+function organizationLd(config) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Organization',
+        name: config.site_name,
+        url: absoluteUrl(config.site_url, '/'),
+        logo: absoluteUrl(config.site_url, config.podcast.image),
+        sameAs: Object.values(config.social || {}).filter(url => url && url !== '#')
+    };
+}
+
+function personLd(config, person) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: person.name,
+        jobTitle: person.role,
+        description: person.bio,
+        image: person.headshot ? absoluteUrl(config.site_url, person.headshot) : undefined,
+        sameAs: Object.values(person.social || {}).filter(url => url && url !== '#'),
+        worksFor: { '@type': 'Organization', name: config.site_name }
+    };
+}
+
+function podcastEpisodeLd(config, episode) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'PodcastEpisode',
+        name: episode.title,
+        description: episode.description,
+        url: absoluteUrl(config.site_url, `/episodes/${parseInt(episode.number, 10)}`),
+        episodeNumber: parseInt(episode.number, 10),
+        datePublished: episode.date,
+        timeRequired: isoDuration(episode.duration),
+        associatedMedia: episode.audio_url ? { '@type': 'MediaObject', contentUrl: episode.audio_url } : undefined,
+        actor: episode.guest ? { '@type': 'Person', name: episode.guest, jobTitle: episode.guest_title } : undefined,
+        partOfSeries: {
+            '@type': 'PodcastSeries',
+            name: config.podcast.title,
+            url: absoluteUrl(config.site_url, '/')
+        }
+    };
+}
+
+function blogPostingLd(config, post) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.excerpt,
+        url: absoluteUrl(config.site_url, `/blog/${post.slug}`),
+        datePublished: post.date,
+        dateModified: post.updated || post.date,
+        image: imageUrl(config, post.image),
+        keywords: (post.tags || []).join(', ') || undefined,
+        author: { '@type': 'Person', name: post.author },
+        publisher: {
+            '@type': 'Organization',
+            name: config.site_name,
+            logo: { '@type': 'ImageObject', url: absoluteUrl(config.site_url, config.podcast.image) }
+        }
+    };
+}
+
+function metaTags(config, { path: pageUrl, title, description, type = 'website', image }) {
+    const url = absoluteUrl(config.site_url, pageUrl);
+    const tags = [
+        `<link rel="canonical" href="${escapeXml(url)}">`,
+        `<meta property="og:type" content="${type}">`,
+        `<meta property="og:site_name" content="${escapeXml(config.site_name)}">`,
+        `<meta property="og:url" content="${escapeXml(url)}">`,
+        `<meta property="og:title" content="${escapeXml(title)}">`,
+        `<meta property="og:description" content="${escapeXml(description)}">`,
+        `<meta property="og:image" content="${escapeXml(imageUrl(config, image))}">`,
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeXml(title)}">`,
+        `<meta name="twitter:description" content="${escapeXml(description)}">`,
+        `<meta name="twitter:image" content="${escapeXml(imageUrl(config, image))}">`
+    ];
+
+    const social = config.social?.x;
+    const handle = social && social !== '#' ? social.match(/x\.com\/([^/?#]+)/) : null;
+    if (handle) tags.push(`<meta name="twitter:site" content="@${handle[1]}">`);
+
+    return tags;
+}
+
+function jsonLdTag(data) {
+    // JSON.stringify drops undefined fields; escape "<" so a value can't close the script tag
+    return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+// Swaps a page's hand-written OG/Twitter block for generated tags and JSON-LD
+function injectSeo(html, config, meta, structuredData = []) {
+    const lines = [
+        '<!-- Open Graph / Twitter / JSON-LD: generated by scripts/build-seo.js -->',
+        ...metaTags(config, meta),
+        ...[organizationLd(config), ...structuredData].map(jsonLdTag)
+    ].map(line => `    ${line}`).join('\n');
+
+    const block = /^[ \t]*<!-- Open Graph \/ Facebook -->\n[\s\S]*?<meta property="twitter:description"[^>]*>\n/m;
+    return block.test(html)
+        ? html.replace(block, () => `${lines}\n`)
+        : html.replace('</head>', () => `${lines}\n</head>`);
+}
+
+// Title and description a hand-written page already declares
+function readPageMeta(html) {
+    const decode = value => value && value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    const title = (html.match(/<title>([^<]*)<\/title>/) || [])[1];
+    const ogDescription = (html.match(/<meta property="og:description" content="([^"]*)">/) || [])[1];
+    const description = (html.match(/<meta name="description" content="([^"]*)">/) || [])[1];
+    return { title: decode(title), description: decode(ogDescription || description) };
+}
+
+function main() {
+    const config = readJson('data/config.json');
+    const { episodes = [] } = readJson('data/episodes.json');
+    const posts = (readJson('data/posts.json').posts || []).filter(post => post.published);
+
+    if (!config.site_url) {
+        console.error('SEO build failed: data/config.json is missing "site_url"');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(path.join(ROOT, 'sitemap.xml'), buildSitemap(config, episodes, posts));
+    fs.writeFileSync(path.join(ROOT, 'robots.txt'), buildRobots(config));
+    console.log(`Wrote sitemap.xml and robots.txt for ${config.site_url}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    TEMPLATES,
+    pagePath,
+    buildSitemap,
+    buildRobots,
+    injectSeo,
+    readPageMeta,
+    organizationLd,
+    personLd,
+    podcastEpisodeLd,
+    blogPostingLd
+};
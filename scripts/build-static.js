@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Static Pre-render Build
+ * Copies the site into /dist and bakes data/*.json content into the HTML using the same
+ * renderers as scripts/app.js, so crawlers and no-JS visitors get real pages.
+ *
+ * Usage: node scripts/build-static.js
+ * Run after scripts/build-feed.js and scripts/build-seo.js so feed.xml, sitemap.xml and
+ * robots.txt are copied too. Pre-rendered containers are marked with data-prerendered and
+ * the client script only hydrates them; every indexable page also gets OG tags and JSON-LD.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HQVSite, Layout, Markdown } = require('./app.js');
+const seo = require('./build-seo.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'dist');
+
+// Source-only files that never need to be served. Dotfiles (.git, .DS_Store, ...) and patches
+// are skipped at any depth as well.
+const EXCLUDE = new Set(['dist', 'node_modules', 'api', 'requests.jsonl', 'README-VERCEL.md', 'schemas', 'test', 'package.json', 'package-lock.json', 'vercel.json']);
+const SCRIPTS = new Set(['app.js']);
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+function isServed(name) {
+    return !EXCLUDE.has(name) && !name.startsWith('.') && !name.endsWith('.patch');
+}
+
+function copySite() {
+    fs.rmSync(OUTPUT, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT, { recursive: true });
+
+    fs.readdirSync(ROOT).forEach(name => {
+        if (!isServed(name)) return;
+
+        if (name === 'scripts') {
+            // Build scripts stay behind; only the browser bundle ships
+            fs.mkdirSync(path.join(OUTPUT, 'scripts'));
+            SCRIPTS.forEach(file => fs.copyFileSync(path.join(ROOT, 'scripts', file), path.join(OUTPUT, 'scripts', file)));
+            return;
+        }
+
+        fs.cpSync(path.join(ROOT, name), path.join(OUTPUT, name), {
+            recursive: true,
+            filter: source => !path.basename(source).startsWith('.')
+        });
+    });
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Replaces the children of the first element carrying `attribute` (e.g. 'id="guest-list"')
+// and marks it data-prerendered. Nested elements of the same tag are balanced, which is all
+// the page templates need.
+function fillElement(html, attribute, content) {
+    const open = new RegExp(`<([a-z][a-z0-9]*)(\\s[^>]*?${attribute.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^>]*?)>`, 'i');
+    const match = open.exec(html);
+    if (!match) return html;
+
+    const tag = match[1];
+    const contentStart = match.index + match[0].length;
+    const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    tags.lastIndex = contentStart;
+
+    let depth = 1;
+    let token;
+    while ((token = tags.exec(html)) !== null) {
+        depth += token[1] ? -1 : 1;
+        if (depth === 0) break;
+    }
+    if (!token) throw new Error(`Unclosed <${tag}> for ${attribute}`);
+
+    return html.slice(0, match.index)
+        + `<${tag}${match[2]} data-prerendered>`
+        + content
+        + html.slice(token.index);
+}
+
+function setAttribute(html, attribute, name, value) {
+    const open = new RegExp(`<([a-z][a-z0-9]*)(\\s[^>]*?${attribute}[^>]*?)>`, 'i');
+    return html.replace(open, (tag, tagName, attributes) => {
+        const cleaned = attributes.replace(new RegExp(`\\s${name}(="[^"]*")?`), '');
+        return value === false ? `<${tagName}${cleaned}>` : `<${tagName}${cleaned} ${name}${value === true ? '' : `="${escapeAttribute(value)}"`}>`;
+    });
+}
+
+function setMeta(html, { title, description }) {
+    if (title) {
+        html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeAttribute(title)}</title>`);
+    }
+    if (description) {
+        html = html.replace(/(<meta name="description" content=")[^"]*(")/, `$1${escapeAttribute(description)}$2`);
+    }
+    return html;
+}
+
+function renderLayout(html, config) {
+    const page = (html.match(/<body[^>]*data-page="([^"]*)"/) || [])[1] || '';
+
+    html = fillElement(html, 'data-layout="header"', Layout.header(config, page));
+    html = fillElement(html, 'data-layout="mobile-menu"', Layout.mobileMenu(config, page));
+    html = fillElement(html, 'data-layout="footer"', Layout.footer(config));
+    return html;
+}
+
+function renderHome(html, site) {
+    html = fillElement(html, 'id="latest-episodes"', site.createLatestEpisodes());
+    html = fillElement(html, 'id="recent-posts"', site.createRecentPosts());
+    return html;
+}
+
+function renderBlog(html, site) {
+    site.postsPerPage = 6;
+    const blog = site.createBlogIndex({ category: '', tag: '', query: '', shown: 1 });
+
+    html = fillElement(html, 'id="blog-featured"', blog.featured);
+    html = fillElement(html, 'id="blog-categories"', blog.categories);
+    html = fillElement(html, 'id="blog-tags"', blog.tags);
+    html = fillElement(html, 'id="blog-posts"', blog.posts);
+    html = setAttribute(html, 'id="blog-load-more"', 'hidden', !blog.hasMore);
+    return html;
+}
+
+function renderEpisodes(html, site) {
+    site.episodesPerPage = 9;
+    const archive = site.createEpisodeArchive({ query: '', topic: '', sort: 'date-desc', page: 1 });
+
+    html = fillElement(html, 'id="episode-topic"', site.createTopicOptions());
+    html = fillElement(html, 'id="episode-count"', archive.count);
+    html = fillElement(html, 'id="episode-archive"', archive.episodes);
+    html = fillElement(html, 'id="episode-pagination"', archive.pagination);
+    return html;
+}
+
+function renderTeam(html, site) {
+    return fillElement(html, 'class="team-grid"', site.createTeamGrid());
+}
+
+function renderPortfolio(html, site) {
+    html = fillElement(html, 'id="portfolio-stats"', site.createPortfolioStats());
+    html = fillElement(html, 'id="portfolio-grid"', site.createPortfolioGrid());
+    return html;
+}
+
+function renderGuests(html, site) {
+    const guests = site.sortGuests(site.getGuests(), 'name');
+
+    html = fillElement(html, 'id="guest-count"', site.formatGuestCount(guests.length));
+    html = fillElement(html, 'id="guest-list"', guests.length > 0
+        ? guests.map(guest => site.createGuestCard(guest)).join('')
+        : '<div class="loading">No guests yet.</div>');
+    return html;
+}
+
+function renderSeo(html, name, config, team) {
+    if (seo.TEMPLATES.has(name)) return html;
+
+    const structuredData = name === 'team.html' ? team.map(member => seo.personLd(config, member)) : [];
+    return seo.injectSeo(html, config, { path: seo.pagePath(name), ...seo.readPageMeta(html) }, structuredData);
+}
+
+function renderEpisode(template, site, episode) {
+    const meta = {
+        path: site.getEpisodeUrl(episode),
+        title: `${episode.title} - Headquarters Ventures`,
+        description: episode.description
+    };
+
+    let html = fillElement(template, 'id="episode-detail"', site.createEpisodeDetail(episode));
+    html = setMeta(html, meta);
+    return seo.injectSeo(html, site.config, meta, [seo.podcastEpisodeLd(site.config, episode)]);
+}
+
+function renderPost(template, site, post) {
+    const source = fs.existsSync(path.join(ROOT, 'posts', `${post.slug}.md`))
+        ? fs.readFileSync(path.join(ROOT, 'posts', `${post.slug}.md`), 'utf8')
+        : post.content || post.excerpt;
+
+    const content = site.createPostHeader(post)
+        + `<div class="post-body" id="post-body">${Markdown.render(source)}</div>`;
+
+    const meta = {
+        path: site.getPostUrl(post),
+        title: `${post.title} - Headquarters Ventures`,
+        description: post.excerpt,
+        type: 'article',
+        image: post.image
+    };
+
+    let html = fillElement(template, 'id="post-detail"', content);
+    html = setMeta(html, meta);
+    return seo.injectSeo(html, site.config, meta, [seo.blogPostingLd(site.config, post)]);
+}
+
+function writePage(relativePath, html) {
+    const file = path.join(OUTPUT, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+}
+
+function main() {
+    const config = readJson('data/config.json');
+    const { members: team = [] } = readJson('data/team.json');
+
+    // Same data the client loads in HQVSite.loadEpisodes() / loadPosts()
+    const site = new HQVSite({ autoInit: false });
+    site.config = config;
+    site.episodes = readJson('data/episodes.json').episodes || [];
+    site.posts = (readJson('data/posts.json').posts || []).filter(post => post.published);
+    site.team = team;
+    site.portfolio = readJson('data/portfolio.json').companies || [];
+
+    copySite();
+
+    const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html'));
+    pages.forEach(name => {
+        let html = renderLayout(fs.readFileSync(path.join(ROOT, name), 'utf8'), config);
+        if (name === 'index.html' || name === 'more.html') html = renderHome(html, site);
+        if (name === 'blog.html') html = renderBlog(html, site);
+        if (name === 'guests.html') html = renderGuests(html, site);
+        if (name === 'episodes.html') html = renderEpisodes(html, site);
+        if (name === 'team.html') html = renderTeam(html, site);
+        if (name === 'portfolio.html') html = renderPortfolio(html, site);
+        writePage(name, renderSeo(html, name, config, team));
+    });
+
+    // One page per episode and local article, at the URLs getEpisodeUrl()/getPostUrl() link to
+    const episodeTemplate = renderLayout(fs.readFileSync(path.join(ROOT, 'episode.html'), 'utf8'), config);
+    site.episodes.forEach(episode => {
+        writePage(`episodes/${parseInt(episode.number, 10)}.html`, renderEpisode(episodeTemplate, site, episode));
+    });
+
+    const postTemplate = renderLayout(fs.readFileSync(path.join(ROOT, 'post.html'), 'utf8'), config);
+    const localPosts = site.posts.filter(post => !post.url);
+    localPosts.forEach(post => {
+        writePage(`blog/${post.slug}.html`, renderPost(postTemplate, site, post));
+    });
+
+    console.log(`Wrote ${path.relative(ROOT, OUTPUT)}/ with ${pages.length} pages, ${site.episodes.length} episodes and ${localPosts.length} articles`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { fillElement, setAttribute, setMeta };
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Local Dev Server
+ * Serves the site with the clean URLs and rewrites from vercel.json and runs api/*.js with a
+ * minimal Vercel-style req/res, so the serverless endpoints can be exercised offline.
+ *
+ * Usage: node scripts/dev-server.js [--dist] [--port 3000]
+ * --dist serves the output of scripts/build-static.js instead of the source tree. Otherwise
+ * data/search-index.json is rebuilt at startup, as it's generated rather than committed.
+ * NEWSLETTER_PROVIDER defaults to "mock" and ANALYTICS_TOKEN to "dev" (for /analytics) here;
+ * /api/quotes still needs FINNHUB_API_KEY.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { writeSearchIndex } = require('./build-search.js');
+
+const ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// api/*.js path -> mtime of the copy currently in require.cache
+const functionVersions = new Map();
+
+function parseArgs(argv) {
+    const portIndex = argv.indexOf('--port');
+    return {
+        dist: argv.includes('--dist'),
+        port: portIndex === -1 ? 3000 : Number(argv[portIndex + 1])
+    };
+}
+
+// "/episodes/:number" -> /^\/episodes\/[^/]+$/
+function loadRewrites() {
+    const { rewrites = [] } = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+    return rewrites.map(({ source, destination }) => ({
+        pattern: new RegExp(`^${source.replace(/:[a-z]+/gi, '[^/]+')}$`),
+        destination
+    }));
+}
+
+function resolveFile(base, pathname) {
+    const file = path.normalize(path.join(base, pathname));
+    // A bare prefix check would also let through siblings such as dist-old next to dist
+    if (file !== base && !file.startsWith(base + path.sep)) return null;
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+// Same lookup order as Vercel with cleanUrls: exact file, then .html, then the first matching rewrite
+function findStaticFile(base, pathname, rewrites) {
+    const candidates = [pathname, `${pathname}.html`, path.join(pathname, 'index.html')];
+    for (const candidate of candidates) {
+        const file = resolveFile(base, candidate);
+        if (file) return file;
+    }
+
+    const rewrite = rewrites.find(({ pattern }) => pattern.test(pathname));
+    return rewrite ? resolveFile(base, rewrite.destination) : null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const name = url.pathname.slice('/api/'.length);
+    const file = /^[a-z0-9-]+$/.test(name) ? resolveFile(path.join(ROOT, 'api'), `${name}.js`) : null;
+
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = data => {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(data));
+        return res;
+    };
+
+    if (!file) {
+        return res.status(404).json({ error: `No function at ${url.pathname}` });
+    }
+
+    const body = await readBody(req);
+    req.query = Object.fromEntries(url.searchParams);
+    req.body = body;
+    if (body && String(req.headers['content-type']).includes('application/json')) {
+        try {
+            req.body = JSON.parse(body);
+        } catch (error) {
+            // Left as a string; functions validate their own input
+        }
+    }
+
+    // Reloaded only when the file changes, so module state (caches, rate limits) survives between calls
+    const modified = fs.statSync(file).mtimeMs;
+    if (functionVersions.get(file) !== modified) {
+        delete require.cache[require.resolve(file)];
+        functionVersions.set(file, modified);
+    }
+    await require(file)(req, res);
+}
+
+function serveStatic(req, res, url, base, rewrites) {
+    const pathname = decodeURIComponent(url.pathname);
+    const file = findStaticFile(base, pathname, rewrites);
+    const status = file ? 200 : 404;
+    const body = file || resolveFile(base, '404.html');
+
+    res.statusCode = status;
+    if (!body) return res.end('Not found');
+
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(body).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-store');
+    fs.createReadStream(body).pipe(res);
+}
+
+function main() {
+    const { dist, port } = parseArgs(process.argv.slice(2));
+    const base = dist ? path.join(ROOT, 'dist') : ROOT;
+    const rewrites = loadRewrites();
+
+    if (dist && !fs.existsSync(base)) {
+        console.error('No dist/ folder. Run node scripts/build-static.js first.');
+        process.exit(1);
+    }
+
+    if (!dist) writeSearchIndex();
+
+    process.env.NEWSLETTER_PROVIDER = process.env.NEWSLETTER_PROVIDER || 'mock';
+    process.env.ANALYTICS_TOKEN = process.env.ANALYTICS_TOKEN || 'dev';
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://localhost:${port}`);
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(req, res, url);
+            } else {
+                serveStatic(req, res, url, base, rewrites);
+            }
+        } catch (error) {
+            console.error(`${req.method} ${url.pathname} failed:`, error);
+            if (!res.headersSent) res.statusCode = 500;
+            res.end();
+        }
+    });
+
+    // Loopback only: this serves the source tree and runs the api/ functions with a known dashboard token
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`Serving ${path.relative(ROOT, base) || '.'} at http://127.0.0.1:${port} (newsletter provider: ${process.env.NEWSLETTER_PROVIDER}, analytics token: ${process.env.ANALYTICS_TOKEN})`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { findStaticFile, loadRewrites };
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * Content Validator
+ * Checks data/config.json, data/episodes.json and data/posts.json against the JSON Schemas in
+ * schemas/, then the rules a schema can't express: unique ids, numbers and slugs, hosts (where an
+ * episode lists them) that exist in data/team.json, and referenced images and posts/*.md files that exist on disk.
+ *
+ * Usage: node scripts/validate-data.js
+ * Prints one "file:line: error|warning: message" per problem and exits with a non-zero status if
+ * there are errors (warnings don't fail). Runs first in the Vercel build; run it before pushing too.
+ *
+ * The schema support is the subset the schemas/ files use, so no validator package is needed:
+ * $ref, type, enum, required, properties, additionalProperties, propertyNames, items, minItems,
+ * uniqueItems, minLength, minimum, pattern and format (date, uri, uri-reference, email, timezone).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const FILES = [
+    { file: 'data/config.json', schema: 'schemas/config.schema.json', check: checkConfig },
+    { file: 'data/episodes.json', schema: 'schemas/episodes.schema.json', check: checkEpisodes },
+    { file: 'data/posts.json', schema: 'schemas/posts.schema.json', check: checkPosts }
+];
+
+const FORMATS = {
+    // A real calendar day, so "2024-02-30" fails even though Date would roll it over to March
+    date: value => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return false;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.toISOString().slice(0, 10) === value;
+    },
+    uri: value => {
+        try {
+            return /^https?:$/.test(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    'uri-reference': value => {
+        try {
+            new URL(value, 'https://example.com');
+            return !/^\s|\s$/.test(value);
+        } catch (error) {
+            return false;
+        }
+    },
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    timezone: value => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+const FORMAT_HINTS = {
+    date: 'a YYYY-MM-DD date',
+    uri: 'an absolute http(s) URL',
+    'uri-reference': 'a URL or path',
+    email: 'an email address',
+    timezone: 'an IANA timezone such as "America/New_York"'
+};
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// JSON pointer ("/episodes/3/date") -> line where that value starts, for error messages.
+// Only run on text JSON.parse already accepted, so it can skip over values without checking them.
+function lineMap(text) {
+    const lines = new Map();
+    let index = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) {
+            if (text[index] === '\n') line++;
+            index++;
+        }
+    };
+
+    const readString = () => {
+        const start = index++;
+        while (text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+        index++;
+        return JSON.parse(text.slice(start, index));
+    };
+
+    const readValue = (pointer) => {
+        skipWhitespace();
+        lines.set(pointer, line);
+
+        const char = text[index];
+        if (char === '{' || char === '[') {
+            const isObject = char === '{';
+            let position = 0;
+            index++;
+            skipWhitespace();
+            if (text[index] === (isObject ? '}' : ']')) {
+                index++;
+                return;
+            }
+
+            for (;;) {
+                let key = position++;
+                if (isObject) {
+                    skipWhitespace();
+                    key = readString();
+                    skipWhitespace();
+                    index++; // ':'
+                }
+                readValue(`${pointer}/${escapePointer(key)}`);
+                skipWhitespace();
+                if (text[index++] !== ',') return;
+            }
+        }
+
+        if (char === '"') {
+            readString();
+            return;
+        }
+
+        // Numbers, true, false and null
+        while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+    };
+
+    readValue('');
+    return lines;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported, got "${ref}"`);
+    return ref.slice(2).split('/').reduce((node, part) => node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+// Calls report(pointer, message) for every way value breaks schema
+function validateSchema(schema, value, report, pointer = '', root = schema) {
+    if (schema.$ref) {
+        validateSchema(resolveRef(root, schema.$ref), value, report, pointer, root);
+    }
+
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const matches = types.includes(actualType) || (actualType === 'integer' && types.includes('number'));
+        if (!matches) {
+            report(pointer, `must be ${types.join(' or ')}, found ${actualType === 'integer' ? 'number' : actualType}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        report(pointer, `${JSON.stringify(value)} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report(pointer, value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            report(pointer, `"${value}" is not ${FORMAT_HINTS[schema.format]}`);
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            report(pointer, `"${value}" doesn't match /${schema.pattern}/${schema.description ? ` (${schema.description})` : ''}`);
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        report(pointer, `must be ${schema.minimum} or more, found ${value}`);
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(pointer, `needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach((item, index) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) report(`${pointer}/${index}`, `${key} is listed more than once`);
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateSchema(schema.items, item, report, `${pointer}/${index}`, root));
+        }
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) report(pointer, `missing required property "${key}"`);
+        });
+
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, item]) => {
+            const itemPointer = `${pointer}/${escapePointer(key)}`;
+            if (schema.propertyNames) {
+                validateSchema(schema.propertyNames, key, (at, message) => report(itemPointer, `property name ${message}`), itemPointer, root);
+            }
+
+            if (properties[key]) {
+                validateSchema(properties[key], item, report, itemPointer, root);
+            } else if (schema.additionalProperties === false) {
+                report(itemPointer, `unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(schema.additionalProperties, item, report, itemPointer, root);
+            }
+        });
+    }
+}
+
+// Site paths ("/graphic assets/logo.png") are looked up in the repo; other sites' URLs are skipped
+function localFile(url) {
+    if (typeof url !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) return null;
+    const pathname = new URL(url, 'https://example.com/').pathname;
+    return path.join(ROOT, decodeURIComponent(pathname));
+}
+
+function checkFileExists(report, pointer, url, severity = 'error') {
+    const file = localFile(url);
+    if (file && !fs.existsSync(file)) {
+        report(pointer, `"${url}" doesn't exist (looked for ${path.relative(ROOT, file)})`, severity);
+    }
+}
+
+function checkUnique(report, items, pointer, field, normalize = value => value) {
+    const seen = new Map();
+    items.forEach((item, index) => {
+        if (item?.[field] === undefined) return;
+
+        const key = normalize(item[field]);
+        if (seen.has(key)) {
+            report(`${pointer}/${index}/${field}`, `duplicate ${field} "${item[field]}", already used by ${pointer}/${seen.get(key)}`);
+        } else {
+            seen.set(key, index);
+        }
+    });
+}
+
+function checkConfig(config, report) {
+    checkFileExists(report, '/podcast/image', config.podcast?.image);
+    checkFileExists(report, '/market_data/snapshot_url', config.market_data?.snapshot_url);
+
+    const groups = Array.isArray(config.ticker?.groups) ? config.ticker.groups : [];
+    checkUnique(report, groups, '/ticker/groups', 'id');
+    if (config.ticker?.default_group && !groups.some(group => group.id === config.ticker.default_group)) {
+        report('/ticker/default_group', `"${config.ticker.default_group}" isn't the id of any ticker group`);
+    }
+    groups.forEach((group, index) => {
+        if (!group.symbols && !group.source) report(`/ticker/groups/${index}`, 'needs either "symbols" or "source"');
+    });
+}
+
+function checkEpisodes({ episodes }, report) {
+    if (!Array.isArray(episodes)) return;
+
+    checkUnique(report, episodes, '/episodes', 'id');
+    // "007" and "7" would both be /episodes/7
+    checkUnique(report, episodes, '/episodes', 'number', number => parseInt(number, 10));
+
+    const team = readTeamIds();
+    episodes.forEach((episode, index) => {
+        checkFileExists(report, `/episodes/${index}/guest_image`, episode.guest_image);
+        checkFileExists(report, `/episodes/${index}/transcript_url`, episode.transcript_url);
+
+        if (team && Array.isArray(episode.hosts)) {
+            episode.hosts.forEach((host, hostIndex) => {
+                if (!team.has(host)) report(`/episodes/${index}/hosts/${hostIndex}`, `"${host}" isn't a member id in data/team.json`);
+            });
+        }
+    });
+}
+
+function checkPosts({ posts }, report) {
+    if (!Array.isArray(posts)) return;
+
+    checkUnique(report, posts, '/posts', 'id');
+    checkUnique(report, posts, '/posts', 'slug');
+
+    posts.forEach((post, index) => {
+        // The site falls back to the podcast artwork, so a missing card image isn't fatal
+        checkFileExists(report, `/posts/${index}/image`, post.image, 'warning');
+
+        if (!post.url && typeof post.slug === 'string' && !fs.existsSync(path.join(ROOT, 'posts', `${post.slug}.md`))) {
+            report(`/posts/${index}/slug`, `local article (no "url") but posts/${post.slug}.md doesn't exist`);
+        }
+    });
+
+    const slugs = new Set(posts.map(post => post.slug));
+    fs.readdirSync(path.join(ROOT, 'posts'))
+        .filter(file => file.endsWith('.md') && !slugs.has(file.slice(0, -3)))
+        .forEach(file => report('', `posts/${file} isn't used by any post`, 'warning'));
+}
+
+function readTeamIds() {
+    try {
+        const { members = [] } = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'team.json'), 'utf8'));
+        return new Set(members.map(member => member.id));
+    } catch (error) {
+        // Hosts can't be checked without the team file; that file has its own loader errors
+        return null;
+    }
+}
+
+// -> [{ file, line, severity, message }]
+function validateFile({ file, schema, check }) {
+    const problems = [];
+    const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (parseError) {
+        const position = Number((parseError.message.match(/position (\d+)/) || [])[1]);
+        const line = Number.isNaN(position) ? 1 : text.slice(0, position).split('\n').length;
+        return [{ file, line, severity: 'error', message: `invalid JSON: ${parseError.message.replace(/^JSON\.parse: /, '')}` }];
+    }
+
+    const lines = lineMap(text);
+    const report = (pointer, message, severity = 'error') => {
+        problems.push({ file, line: lines.get(pointer) || 1, severity, message: pointer ? `${pointer}: ${message}` : message });
+    };
+
+    validateSchema(JSON.parse(fs.readFileSync(path.join(ROOT, schema), 'utf8')), data, report);
+    check(data, report);
+
+    return problems.sort((a, b) => a.line - b.line);
+}
+
+function main() {
+    const problems = FILES.flatMap(validateFile);
+    problems.forEach(({ file, line, severity, message }) => {
+        (severity === 'error' ? console.error : console.warn)(`${file}:${line}: ${severity}: ${message}`);
+    });
+
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const warnings = problems.length - errors;
+    const summary = `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+
+    if (errors > 0) {
+        console.error(`Data validation failed: ${summary}`);
+        process.exit(1);
+    }
+    console.log(`Checked ${FILES.map(({ file }) => file).join(', ')}: ${summary}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { FILES, lineMap, validateSchema, validateFile };
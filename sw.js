@@ -0,0 +1,213 @@
+/**
+ * Headquarters Ventures Service Worker
+ * Registered from scripts/app.js. Keeps the site usable offline:
+ * - the shell (styles, app.js, page templates) is precached and refreshed in the background;
+ *   other same-origin files (logos, images, fonts) go to a separate cache capped at MAX_ASSETS entries
+ *   the first time a page uses them
+ * - /data/*.json and /posts/* are stale-while-revalidate, matching their max-age=600 in vercel.json
+ * - pages are network-first, falling back to the last copy seen, the episode/post template, then /offline
+ * - episode audio saved with the player's "Save offline" button (OfflineAudio in scripts/app.js) is
+ *   served from its own cache, including the byte ranges <audio> asks for
+ * /api/* and other sites' requests are left alone.
+ */
+
+// Bump to drop the shell, data and page caches on the next visit (saved audio is kept)
+const VERSION = 'v4';
+
+const SHELL_CACHE = `hqv-shell-${VERSION}`;
+const DATA_CACHE = `hqv-data-${VERSION}`;
+const PAGES_CACHE = `hqv-pages-${VERSION}`;
+const ASSETS_CACHE = `hqv-assets-${VERSION}`;
+// Same name as OfflineAudio.CACHE in scripts/app.js
+const AUDIO_CACHE = 'hqv-audio';
+
+const MAX_PAGES = 50;
+const MAX_ASSETS = 60;
+
+// Clean URLs, as Vercel redirects the .html versions (cleanUrls in vercel.json).
+// The logos are megabytes each, so they're left to the assets cache rather than slowing every install.
+const SHELL_URLS = [
+    '/',
+    '/styles.css',
+    '/scripts/app.js',
+    '/manifest.webmanifest'
+];
+
+// Fallback pages: cached when they load, but a missing one doesn't stop the install
+const OPTIONAL_SHELL_URLS = [
+    '/offline',
+    '/episode',
+    '/post'
+];
+
+// Request pathnames are percent-encoded ("/graphic%20assets/...")
+const SHELL_PATHS = new Set([...SHELL_URLS, ...OPTIONAL_SHELL_URLS].map(url => new URL(url, self.location.origin).pathname));
+
+// Enough data for the offline page and the templates to work without a connection
+const DATA_URLS = [
+    '/data/config.json',
+    '/data/episodes.json',
+    '/data/posts.json'
+];
+
+// Generated at build time, so it can be missing from a dev server or a failed build
+const OPTIONAL_DATA_URLS = [
+    '/data/search-index.json'
+];
+
+// Same rewrites as vercel.json, for pages that were never opened while online
+const TEMPLATES = [
+    { pattern: /^\/episodes\/[^/]+$/, template: '/episode' },
+    { pattern: /^\/blog\/[^/]+$/, template: '/post' }
+];
+
+// cache: 'reload' skips the year-long immutable HTTP caching on css/js.
+// Any of `urls` failing fails the install; `optional` ones are put one by one and skipped when they fail.
+async function precache(cacheName, urls, optional = []) {
+    const cache = await caches.open(cacheName);
+    await cache.addAll(urls.map(url => new Request(url, { cache: 'reload' })));
+
+    await Promise.all(optional.map(url => fetch(new Request(url, { cache: 'reload' }))
+        .then(response => response.ok && cache.put(url, response))
+        .catch(() => {
+            // Missing or unreachable: installing without it beats not installing at all
+        })));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            precache(SHELL_CACHE, SHELL_URLS, OPTIONAL_SHELL_URLS),
+            precache(DATA_CACHE, DATA_URLS, OPTIONAL_DATA_URLS)
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = new Set([SHELL_CACHE, DATA_CACHE, PAGES_CACHE, ASSETS_CACHE, AUDIO_CACHE]);
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('hqv-') && !current.has(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Oldest entries go first; Cache.keys() keeps insertion order
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// maxEntries caps caches whose URLs aren't known up front
+async function staleWhileRevalidate(event, cacheName, fetchOptions = {}, maxEntries = null) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const refresh = fetch(event.request, fetchOptions)
+        .then(response => {
+            if (!response.ok) return response;
+            return cache.put(event.request, response.clone())
+                .then(() => maxEntries && trimCache(cacheName, maxEntries))
+                .then(() => response);
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {
+            // Offline or failing: the cached copy stays until the next successful refresh
+        }));
+        return cached;
+    }
+    return refresh;
+}
+
+async function networkFirstPage(event) {
+    const cache = await caches.open(PAGES_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(cache.put(event.request, response.clone()).then(() => trimCache(PAGES_CACHE, MAX_PAGES)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        const { pathname } = new URL(event.request.url);
+        const rewrite = TEMPLATES.find(({ pattern }) => pattern.test(pathname));
+        const template = rewrite && await caches.match(rewrite.template, { cacheName: SHELL_CACHE });
+        if (template) return template;
+
+        return caches.match('/offline', { cacheName: SHELL_CACHE });
+    }
+}
+
+// "bytes=100-", "bytes=100-199" or "bytes=-500" against a file of `size` bytes -> [start, end] or null
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    if (match[1] === '') {
+        return [Math.max(0, size - Number(match[2])), size - 1];
+    }
+    const start = Number(match[1]);
+    const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    return start <= end ? [start, end] : null;
+}
+
+async function savedAudio(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (!cached) return fetch(request);
+
+    const rangeHeader = request.headers.get('range');
+    if (!rangeHeader) return cached;
+
+    // Media elements ask for byte ranges, which the Cache API doesn't answer on its own
+    const body = await cached.blob();
+    const range = parseRange(rangeHeader, body.size);
+    if (!range) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${body.size}` } });
+    }
+
+    const [start, end] = range;
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${body.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // no-store requests (the live status poll) always want the network's answer
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+    // Audio can live on another host (episode.audio_url), so it's checked before the same-origin filter
+    if (request.destination === 'audio') {
+        event.respondWith(savedAudio(request));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(event));
+    } else if (url.pathname.startsWith('/data/') || url.pathname.startsWith('/posts/')) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    } else if (SHELL_PATHS.has(url.pathname)) {
+        // no-cache revalidates against the server instead of the immutable HTTP cache entry
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { cache: 'no-cache' }));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, ASSETS_CACHE, { cache: 'no-cache' }, MAX_ASSETS));
+    }
+});
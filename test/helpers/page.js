@@ -0,0 +1,147 @@
+/**
+ * jsdom Test Harness
+ * Loads one of the real HTML pages with scripts/app.js evaluated inside it, so tests exercise
+ * HQVSite against the same markup the browser gets.
+ *
+ * - fetch is answered from the files on disk; `files` overrides or adds responses by path, and a
+ *   number there (e.g. { '/data/config.json': 500 }) fails that request with that status
+ * - window timers and Date.now are fake: nothing fires until the test calls timers.tick(ms)
+ * - canvas, scrollIntoView and media playback, which jsdom doesn't implement, are no-ops
+ *
+ * The site isn't started automatically; tests build `new window.HQVSite({ autoInit: false })`
+ * and call init() or the individual setup methods themselves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const APP_SOURCE = fs.readFileSync(path.join(ROOT, 'scripts', 'app.js'), 'utf8');
+
+class FakeTimers {
+    constructor(window, now) {
+        this.now = now;
+        this.nextId = 1;
+        this.timers = new Map();
+
+        window.setTimeout = (callback, delay = 0, ...args) => this.add(callback, delay, args, false);
+        window.setInterval = (callback, delay = 0, ...args) => this.add(callback, delay, args, true);
+        window.clearTimeout = id => this.timers.delete(id);
+        window.clearInterval = id => this.timers.delete(id);
+        window.requestAnimationFrame = callback => this.add(() => callback(this.now), 16, [], false);
+        window.cancelAnimationFrame = id => this.timers.delete(id);
+        window.Date.now = () => this.now;
+    }
+
+    add(callback, delay, args, repeat) {
+        const id = this.nextId++;
+        const wait = Math.max(0, Number(delay) || 0);
+        this.timers.set(id, { callback, args, repeat, delay: wait, at: this.now + wait });
+        return id;
+    }
+
+    // Intervals with this delay, e.g. countIntervals(120000) for the ticker refresh
+    countIntervals(delay) {
+        return [...this.timers.values()].filter(timer => timer.repeat && timer.delay === delay).length;
+    }
+
+    // Runs everything due within `ms`, in order, letting promises settle after each callback
+    async tick(ms) {
+        const end = this.now + ms;
+
+        for (;;) {
+            const due = [...this.timers.entries()]
+                .filter(([, timer]) => timer.at <= end)
+                .sort(([, a], [, b]) => a.at - b.at)[0];
+            if (!due) break;
+
+            const [id, timer] = due;
+            this.now = timer.at;
+            if (timer.repeat) {
+                timer.at += timer.delay || 1;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback(...timer.args);
+            await settle();
+        }
+
+        this.now = end;
+        await settle();
+    }
+}
+
+// Lets pending promise chains (stubbed fetches, awaited setup steps) run to completion
+async function settle() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function response(status, body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => JSON.parse(text),
+        text: async () => text
+    };
+}
+
+function createFetch(files, requests) {
+    return async (input) => {
+        const url = new URL(String(input), 'https://headquarters.ventures');
+        requests.push(url.pathname + url.search);
+
+        if (Object.prototype.hasOwnProperty.call(files, url.pathname)) {
+            const override = files[url.pathname];
+            return typeof override === 'number' ? response(override, '') : response(200, override);
+        }
+
+        const file = path.join(ROOT, decodeURIComponent(url.pathname));
+        if (!url.pathname.startsWith('/api/') && file.startsWith(ROOT + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+            return response(200, fs.readFileSync(file, 'utf8'));
+        }
+        return response(404, '');
+    };
+}
+
+/**
+ * @param {string} page - HTML file in the repo root, e.g. 'index.html'
+ * @param {{ files?: Object, now?: number }} [options]
+ * @returns {Promise<{ window, document, timers: FakeTimers, requests: string[], errors: string[], settle: Function }>}
+ */
+async function loadPage(page, { files = {}, now = Date.UTC(2025, 0, 15, 15, 0) } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    // The site logs failures it recovers from; they're collected here instead of cluttering the test output
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8'), {
+        url: `https://headquarters.ventures/${page === 'index.html' ? '' : page}`,
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // app.js starts the site on DOMContentLoaded, so it's only evaluated afterwards and tests decide when to init
+    await new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve));
+
+    const requests = [];
+    window.fetch = createFetch(files, requests);
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, { get: () => () => {} });
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.HTMLMediaElement.prototype.play = async () => {};
+    window.HTMLMediaElement.prototype.pause = () => {};
+    window.HTMLMediaElement.prototype.load = () => {};
+    window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {} });
+    const timers = new FakeTimers(window, now);
+
+    window.eval(`${APP_SOURCE}\nwindow.HQVSite = HQVSite;`);
+
+    return { window, document: window.document, timers, requests, errors, settle };
+}
+
+module.exports = { loadPage, settle };
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+// more.html carries the latest episodes and recent posts sections
+async function startPage(options) {
+    const page = await loadPage('more.html', options);
+    const site = new page.window.HQVSite({ autoInit: false });
+    await site.init();
+    return { ...page, site };
+}
+
+function errorMessages(document) {
+    return [...document.querySelectorAll('.error-message')].map(element => element.textContent);
+}
+
+function titles(document, selector) {
+    return [...document.querySelectorAll(selector)].map(element => element.textContent.trim());
+}
+
+test('shows the first three featured episodes and the three newest published posts', async () => {
+    const episodes = [1, 2, 3, 4, 5].map(n => ({
+        id: `ep-00${n}`, number: `00${n}`, title: `Episode ${n}`, description: 'About it', date: `2025-01-0${n}`, duration: '40:00', featured: n !== 2
+    }));
+    const posts = [
+        { id: 'a', slug: 'a', title: 'Oldest', excerpt: 'x', date: '2024-01-01', published: true },
+        { id: 'b', slug: 'b', title: 'Newest', excerpt: 'x', date: '2024-06-01', published: true },
+        { id: 'c', slug: 'c', title: 'Draft', excerpt: 'x', date: '2024-07-01', published: false },
+        { id: 'd', slug: 'd', title: 'Middle', excerpt: 'x', date: '2024-03-01', published: true },
+        { id: 'e', slug: 'e', title: 'Second', excerpt: 'x', date: '2024-05-01', published: true }
+    ];
+    const { document } = await startPage({ files: { '/data/episodes.json': { episodes }, '/data/posts.json': { posts } } });
+
+    assert.deepEqual(titles(document, '#latest-episodes .episode-title'), ['Episode 1', 'Episode 3', 'Episode 4']);
+    assert.deepEqual(titles(document, '#recent-posts .post-title'), ['Newest', 'Second', 'Middle']);
+    assert.deepEqual(errorMessages(document), []);
+});
+
+test('episodes link to their clean URL', async () => {
+    const { document } = await startPage();
+
+    const link = document.querySelector('#latest-episodes .episode-title a');
+    assert.match(link.getAttribute('href'), /^\/episodes\/\d+$/);
+});
+
+test('shows empty states when there are no episodes or posts', async () => {
+    const { document } = await startPage({
+        files: {
+            '/data/episodes.json': { episodes: [] },
+            '/data/posts.json': { posts: [] }
+        }
+    });
+
+    assert.equal(document.querySelector('#latest-episodes').textContent.trim(), 'No episodes available yet.');
+    assert.equal(document.querySelector('#recent-posts').textContent.trim(), 'No blog posts available yet.');
+});
+
+test('unpublished posts and episodes that are not featured are left out', async () => {
+    const { document } = await startPage({
+        files: {
+            '/data/episodes.json': { episodes: [{ id: 'ep-001', number: '001', title: 'Quiet one', date: '2025-01-01', featured: false }] },
+            '/data/posts.json': { posts: [{ id: 'draft', slug: 'draft', title: 'Draft', excerpt: 'Soon', date: '2025-01-01', published: false }] }
+        }
+    });
+
+    assert.equal(document.querySelector('#latest-episodes').textContent.trim(), 'No episodes available yet.');
+    assert.equal(document.querySelector('#recent-posts').textContent.trim(), 'No blog posts available yet.');
+});
+
+test('failed episode and post requests show an error and fall back to the empty states', async () => {
+    const { document, site, errors } = await startPage({
+        files: {
+            '/data/episodes.json': 500,
+            '/data/posts.json': 404
+        }
+    });
+
+    assert.deepEqual(errorMessages(document), ['Could not load episodes.', 'Could not load posts.']);
+    assert.ok(errors.some(error => error.includes('Error loading episodes:') && error.includes('status: 500')));
+    assert.equal(site.episodes.length, 0);
+    assert.equal(site.posts.length, 0);
+    assert.equal(document.querySelector('#latest-episodes').textContent.trim(), 'No episodes available yet.');
+    assert.equal(document.querySelector('#recent-posts').textContent.trim(), 'No blog posts available yet.');
+});
+
+test('displayError appends a message to the page', async () => {
+    const { document, window } = await loadPage('more.html');
+    const site = new window.HQVSite({ autoInit: false });
+
+    site.displayError('<b>Something</b> broke');
+
+    const message = document.body.lastElementChild;
+    assert.equal(message.className, 'error-message');
+    // Shown as text, never parsed as markup
+    assert.equal(message.textContent, '<b>Something</b> broke');
+    assert.equal(message.querySelector('b'), null);
+});
+
+test('an unreachable config falls back to the built-in defaults and still renders the layout', async () => {
+    const { document, site } = await startPage({ files: { '/data/config.json': 503 } });
+
+    assert.deepEqual(errorMessages(document), ['Could not load site configuration.']);
+    assert.equal(site.config.site_name, 'Headquarters Ventures');
+    assert.equal(site.config.accent_color, '#FFD200');
+    assert.equal(site.config.on_air, false);
+
+    // Links that need config (YouTube, the newsletter) are left out rather than pointing nowhere
+    const navLabels = [...document.querySelectorAll('[data-layout="header"] .nav-menu a')].map(link => link.textContent.trim());
+    assert.ok(navLabels.includes('Home'));
+    assert.ok(!navLabels.includes('Videos'));
+    assert.ok(document.querySelectorAll('#latest-episodes .episode-card').length > 0);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('./helpers/page.js');
+
+const CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'config.json'), 'utf8'));
+
+// 10 x $50 bought at $40 and 10 x $100 bought at $120; CCC has no quote
+const HOLDINGS = {
+    holdings: [
+        { symbol: 'AAA', name: 'Alpha Corp', shares: 10, cost_basis: 40, purchase_date: '2024-01-16' },
+        { symbol: 'BBB', name: 'Beta Inc', shares: 10, cost_basis: 120 },
+        { symbol: 'CCC', name: 'Gamma Ltd', shares: 5, cost_basis: 10 }
+    ]
+};
+const QUOTES = {
+    as_of: '2025-01-15T21:00:00Z',
+    quotes: {
+        AAA: { price: 50, change: 2, changePercent: 4.17 },
+        BBB: { price: 100, change: -1, changePercent: -0.99 }
+    }
+};
+
+async function startTracker() {
+    // The snapshot provider with no fallback, so CCC stays unpriced
+    const config = { ...CONFIG, market_data: { provider: 'snapshot', snapshot_url: '/data/quotes.json', fallback: null } };
+    const page = await loadPage('index.html', {
+        files: { '/data/holdings.json': HOLDINGS, '/data/quotes.json': QUOTES }
+    });
+
+    const site = new page.window.HQVSite({ autoInit: false });
+    site.config = config;
+    await site.setupPortfolioTracker();
+    return { ...page, site };
+}
+
+function text(document, selector) {
+    return document.querySelector(selector).textContent.trim();
+}
+
+function holdingRows(document) {
+    return [...document.querySelectorAll('#portfolio-holdings .key-holding-item')].map(row => ({
+        symbol: row.querySelector('.holding-symbol').textContent,
+        value: row.querySelector('.holding-value').textContent,
+        percentage: row.querySelector('.holding-percentage').textContent,
+        pnl: row.querySelector('.holding-pnl').textContent,
+        pnlClass: row.querySelector('.holding-pnl').className
+    }));
+}
+
+test('updatePortfolioHoldings shows value, weight and P&L per holding, largest first', async () => {
+    const { window, document } = await loadPage('index.html');
+    const site = new window.HQVSite({ autoInit: false });
+    site.portfolioHoldings = [
+        { symbol: 'AAA', name: 'Alpha Corp', shares: 10, cost_basis: 40, price: 50 },
+        { symbol: 'BBB', name: 'Beta Inc', shares: 10, cost_basis: 120, price: 100 },
+        { symbol: 'CCC', name: 'Gamma Ltd', shares: 5, cost_basis: 10 }
+    ];
+
+    site.updatePortfolioHoldings(1500);
+
+    assert.deepEqual(holdingRows(document), [
+        { symbol: 'BBB', value: '$1000.00', percentage: '66.7%', pnl: '-$200.00 (-16.7%)', pnlClass: 'holding-pnl negative' },
+        { symbol: 'AAA', value: '$500.00', percentage: '33.3%', pnl: '+$100.00 (+25.0%)', pnlClass: 'holding-pnl positive' }
+    ]);
+});
+
+test('updatePortfolioHoldings handles a zero total and a zero cost basis', async () => {
+    const { window, document } = await loadPage('index.html');
+    const site = new window.HQVSite({ autoInit: false });
+    site.portfolioHoldings = [{ symbol: 'GIFT', name: 'Gifted shares', shares: 2, cost_basis: 0, price: 0 }];
+
+    site.updatePortfolioHoldings(0);
+
+    assert.deepEqual(holdingRows(document), [
+        { symbol: 'GIFT', value: '$0.00', percentage: '0.0%', pnl: '+$0.00 (+0.0%)', pnlClass: 'holding-pnl positive' }
+    ]);
+});
+
+test('calculatePortfolioTotals only counts priced holdings', async () => {
+    const { window } = await loadPage('index.html');
+    const site = new window.HQVSite({ autoInit: false });
+    site.portfolioHoldings = [
+        { symbol: 'AAA', shares: 10, cost_basis: 40, price: 50, change: 2 },
+        { symbol: 'BBB', shares: 10, cost_basis: 120, price: 100, change: -1 },
+        { symbol: 'CCC', shares: 5, cost_basis: 10 }
+    ];
+
+    const totals = site.calculatePortfolioTotals();
+
+    assert.equal(totals.totalValue, 1500);
+    assert.equal(totals.dayChange, 10);
+    assert.equal(totals.previousValue, 1490);
+    assert.equal(totals.costBasis, 1600);
+    assert.equal(totals.unrealizedPnl, -100);
+    assert.equal(totals.unrealizedPnlPercent, -6.25);
+    assert.ok(Math.abs(totals.dayChangePercent - (10 / 1490) * 100) < 1e-9);
+});
+
+test('the portfolio tracker prices holdings from the market data provider', async () => {
+    const { document } = await startTracker();
+
+    assert.equal(text(document, '#total-value'), '$1500.00');
+    assert.equal(text(document, '#status-value'), '+$10.00 (+0.67%)');
+    assert.equal(text(document, '#status-indicator'), '▲');
+    assert.equal(text(document, '#portfolio-pnl'), '-$100.00 (-6.25%)');
+    assert.deepEqual(holdingRows(document).map(row => row.symbol), ['BBB', 'AAA']);
+
+    const segments = [...document.querySelectorAll('#portfolio-allocation .allocation-segment')];
+    assert.deepEqual(segments.map(segment => segment.style.width), ['66.67%', '33.33%']);
+});
+
+test('the portfolio tracker refreshes with the ticker', async () => {
+    const { site, requests, timers } = await startTracker();
+    const interval = CONFIG.ticker.refresh_seconds * 1000;
+    const snapshotRequests = () => requests.filter(request => request === '/data/quotes.json').length;
+
+    // Previous close plus the first refresh
+    assert.equal(site.portfolioChartData.length, 2);
+    assert.equal(snapshotRequests(), 1);
+
+    await timers.tick(interval);
+
+    assert.equal(site.portfolioChartData.length, 3);
+    assert.equal(snapshotRequests(), 2);
+});
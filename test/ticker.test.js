@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadPage } = require('./helpers/page.js');
+
+const CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'config.json'), 'utf8'));
+const SPONSORS = {
+    sponsors: [{ id: 'acme', name: 'Acme', tagline: 'Anvils', url: 'https://acme.example', placements: ['ticker'] }]
+};
+
+async function startTicker({ marketData = {} } = {}) {
+    const config = { ...CONFIG, market_data: { ...CONFIG.market_data, ...marketData } };
+    const page = await loadPage('index.html', {
+        files: { '/data/config.json': config, '/data/sponsors.json': SPONSORS }
+    });
+
+    const site = new page.window.HQVSite({ autoInit: false });
+    site.config = config;
+    site.episodes = [];
+    await site.setupStockTicker();
+    await page.settle();
+    return { ...page, site };
+}
+
+function tickerItems(document) {
+    return [...document.querySelectorAll('#stock-ticker .ticker-content > *')];
+}
+
+function quoteRequests(requests) {
+    return requests.filter(request => request.startsWith('/api/quotes')).length;
+}
+
+test('insertSponsorAds adds an ad after every 10th item', async () => {
+    const { window } = await loadPage('index.html');
+    const site = new window.HQVSite({ autoInit: false });
+    site.sponsors = SPONSORS.sponsors;
+
+    const items = Array.from({ length: 25 }, (_, i) => `item-${i}`);
+    const result = Array.from(site.insertSponsorAds(items), String);
+
+    assert.equal(result.length, 27);
+    const adPositions = result.flatMap((item, index) => item.includes('sponsor-ad') ? [index] : []);
+    assert.deepEqual(adPositions, [10, 21]);
+    assert.equal(result[9], 'item-9');
+    assert.equal(result[11], 'item-10');
+    assert.match(result[10], /data-sponsor="acme" data-placement="ticker"/);
+});
+
+test('insertSponsorAds leaves the items alone without an active ticker sponsor', async () => {
+    const { window } = await loadPage('index.html');
+    const site = new window.HQVSite({ autoInit: false });
+    site.sponsors = [
+        { id: 'carousel-only', name: 'Carousel', placements: ['carousel'] },
+        { id: 'ended', name: 'Ended', end_date: '2000-01-01' },
+        { id: 'paused', name: 'Paused', weight: 0 }
+    ];
+
+    const items = Array.from({ length: 25 }, (_, i) => `item-${i}`);
+    assert.deepEqual(Array.from(site.insertSponsorAds(items), String), items);
+});
+
+test('the rendered ticker carries a sponsor slot after every 10 quotes', async () => {
+    const { document, site } = await startTicker();
+
+    const items = tickerItems(document);
+    const quotes = items.filter(item => !item.classList.contains('sponsor-ad'));
+    assert.equal(quotes.length, site.tickerSymbols.length);
+
+    items.forEach((item, index) => {
+        assert.equal(item.classList.contains('sponsor-ad'), (index + 1) % 11 === 0, `item ${index}`);
+    });
+});
+
+test('the ticker falls back to simulated prices when the quotes API fails', async () => {
+    const { document, requests, site } = await startTicker({ marketData: { provider: 'finnhub', fallback: 'mock' } });
+
+    assert.equal(quoteRequests(requests), 1);
+
+    const quotes = tickerItems(document).filter(item => item.dataset.symbol);
+    assert.equal(quotes.length, site.tickerSymbols.length);
+    assert.ok(quotes.every(item => item.classList.contains('simulated')));
+
+    const status = document.querySelector('#stock-ticker .ticker-status');
+    assert.equal(status.hidden, false);
+    assert.equal(status.textContent, 'Simulated');
+
+    // Mock prices start from config.ticker.mock_prices
+    const apple = site.tickerQuotes.get('AAPL');
+    assert.equal(apple.source, 'mock');
+    assert.equal(apple.previousClose, CONFIG.ticker.mock_prices.AAPL);
+    assert.ok(Math.abs(apple.price - apple.previousClose) <= 3.25);
+});
+
+test('snapshot quotes are shown as delayed rather than simulated', async () => {
+    const { document, requests } = await startTicker({ marketData: { provider: 'snapshot', fallback: 'mock' } });
+
+    assert.equal(quoteRequests(requests), 0);
+    assert.ok(requests.includes('/data/quotes.json'));
+    assert.equal(document.querySelectorAll('#stock-ticker .ticker-item.simulated').length, 0);
+    assert.equal(document.querySelector('#stock-ticker .ticker-status').textContent, 'Delayed');
+});
+
+test('the ticker refreshes on config.ticker.refresh_seconds', async () => {
+    const { requests, timers } = await startTicker({ marketData: { provider: 'finnhub', fallback: 'mock' } });
+    const interval = CONFIG.ticker.refresh_seconds * 1000;
+
+    assert.equal(timers.countIntervals(interval), 1);
+    assert.equal(quoteRequests(requests), 1);
+
+    await timers.tick(interval - 1);
+    assert.equal(quoteRequests(requests), 1);
+
+    await timers.tick(1);
+    assert.equal(quoteRequests(requests), 2);
+
+    await timers.tick(interval * 2);
+    assert.equal(quoteRequests(requests), 4);
+});
+
+test('simulated quotes are retried after 30 seconds instead of the full cache lifetime', async () => {
+    const { site, requests, timers } = await startTicker({ marketData: { provider: 'finnhub', fallback: 'mock', ttl_seconds: 300 } });
+
+    await timers.tick(29999);
+    await site.fetchStockData(['AAPL']);
+    assert.equal(quoteRequests(requests), 1);
+
+    await timers.tick(1);
+    await site.fetchStockData(['AAPL']);
+    assert.equal(quoteRequests(requests), 2);
+});